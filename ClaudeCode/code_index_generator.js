@@ -1,421 +1,256 @@
 #!/usr/bin/env node
 /**
  * Compact Code Index Generator for Claude Code
- * Generates optimized codebase index within 40k token limit
- * 
- * Usage: node code_index_generator.js [project-path]
+ * Generates optimized codebase index within 40k token limit; monorepos share it across packages
+ *
+ * Usage: node code_index_generator.js [project-path] [--no-cache] [--watch] [--no-workspaces]
+ *        node code_index_generator.js [project-path] --check [--json]
+ *        node code_index_generator.js mcp [project-path] [--watch]
  */
 
 const fs = require('fs');
 const path = require('path');
 
-// Babel parser for JavaScript/TypeScript
-let parser, traverse;
-try {
-  parser = require('@babel/parser');
-  traverse = require('@babel/traverse').default;
-} catch (e) {
-  console.error('Please install Babel dependencies: npm install @babel/parser @babel/traverse');
-  process.exit(1);
-}
+// Shared analysis core: copied next to this script, or one level up in the ai-configs repo
+const core = require(fs.existsSync(path.join(__dirname, 'code-index-core')) ? './code-index-core' : '../code-index-core');
 
-class CompactCodeIndexGenerator {
-  constructor(projectPath = '.') {
-    this.projectPath = path.resolve(projectPath);
-    this.packageJson = this.loadPackageJson();
-    this.index = {
-      meta: {
-        generated: new Date().toISOString(),
-        framework: this.detectFramework()
-      },
-      structure: {},
-      modules: {},
-      exports: {},
-      patterns: {}
-    };
-    this.maxTokens = 35000; // Leave buffer for Claude Code context
-    this.currentTokens = 0;
-  }
+const CACHE_FILE = '.code-index-cache.json';
+// Default output paths; .codeindexrc `output` may move them
+const OUTPUT_FILES = { json: 'code-index.json', markdown: 'code-index.md' };
+const MCP_SERVER_INFO = { name: 'compact-code-index', version: '1.0.0' };
 
-  loadPackageJson() {
-    try {
-      return JSON.parse(fs.readFileSync(path.join(this.projectPath, 'package.json'), 'utf8'));
-    } catch (e) {
-      return { dependencies: {}, devDependencies: {} };
+class CompactCodeIndexGenerator {
+  constructor(projectPath = '.', options = {}) {
+    const config = core.loadConfig(projectPath, 'claude');
+    this.options = { cache: true, workspaces: true, ...(config.maxTokens && { maxTokens: config.maxTokens }), ...options, config };
+    this.outputs = { ...OUTPUT_FILES, ...config.output };
+    const layout = this.options.workspaces && core.detectWorkspace(projectPath);
+    // Outputs are written at the workspace root; listing them as sources would index the index
+    const outputFiles = Object.values(this.outputs).map(file => path.resolve(layout ? layout.root : projectPath, file));
+    if (layout) {
+      this.workspace = new core.Workspace(layout, { ...this.options, cacheFile: CACHE_FILE, outputFiles });
+      this.workspace.packages.forEach(pkg => {
+        pkg.emitter = new core.CompactEmitter(pkg.model, this.options);
+      });
+      this.projectPath = layout.root;
+    } else {
+      this.model = new core.CodebaseModel(projectPath, { ...this.options, cacheFile: CACHE_FILE, outputFiles });
+      this.emitter = new core.CompactEmitter(this.model, this.options);
+      this.projectPath = this.model.projectPath;
     }
+    this.index = null;
+    this.tokens = 0;
   }
 
-  detectFramework() {
-    const deps = { ...this.packageJson.dependencies, ...this.packageJson.devDependencies };
-    if (deps.next) return `Next.js ${deps.next}`;
-    if (deps.react) return `React ${deps.react}`;
-    return 'JavaScript';
-  }
+  async generate() {
+    console.log(`🚀 Generating compact code index for Claude Code${this.workspace ? ` (${this.workspace.packages.length} workspace packages)` : ''}...`);
 
-  estimateTokens(obj) {
-    return JSON.stringify(obj).length / 3; // Rough token estimation
-  }
+    await (this.workspace || this.model).build();
+    this.index = this.emitIndex();
 
-  async generate() {
-    console.log('🚀 Generating compact code index for Claude Code...');
-    
-    // Priority order for analysis
-    this.analyzeProject();
-    await this.analyzeKeyFiles();
-    this.detectPatterns();
-    
     this.saveIndex();
-    console.log(`✅ Compact index generated! (~${this.currentTokens} tokens)`);
+    const counted = (this.emitter || this.workspace.packages[0].emitter).tokenizer;
+    const method = counted ? 'approximated with the legacy @anthropic-ai/tokenizer' : 'estimated without @anthropic-ai/tokenizer';
+    console.log(`✅ Compact index generated! (~${this.tokens} tokens, ${method})`);
     return this.index;
   }
 
-  analyzeProject() {
-    console.log('📁 Analyzing project structure...');
-    
-    const criticalDirs = [
-      'app', 'src/app', 'pages', 'src/pages',
-      'components', 'src/components',
-      'lib', 'src/lib', 'utils', 'src/utils',
-      'hooks', 'src/hooks'
-    ];
+  // A single project's index, or a workspace manifest with one index per package.
+  // Packages split the token budget by file count, so the whole file still fits.
+  emitIndex() {
+    if (!this.workspace) {
+      const index = this.emitter.emit();
+      this.tokens = this.emitter.tokens;
+      return index;
+    }
 
-    criticalDirs.forEach(dir => {
-      const fullPath = path.join(this.projectPath, dir);
-      if (fs.existsSync(fullPath)) {
-        const info = this.analyzeDirCompact(fullPath);
-        if (info.files > 0) {
-          this.index.structure[dir] = info;
-        }
-      }
+    const index = {
+      meta: { generated: new Date().toISOString() },
+      workspace: this.workspace.manifest(),
+      packages: {}
+    };
+    const budget = this.options.maxTokens || core.DEFAULT_MAX_TOKENS;
+    const totalFiles = index.workspace.packages.reduce((sum, pkg) => sum + pkg.files, 0) || 1;
+    this.workspace.packages.forEach((pkg, i) => {
+      console.log(`\n📦 Indexing ${pkg.name}...`);
+      pkg.emitter.options.maxTokens = Math.floor(budget * index.workspace.packages[i].files / totalFiles);
+      index.packages[pkg.name] = pkg.emitter.emit();
     });
+    this.tokens = this.workspace.packages[0].emitter.estimateTokens(index);
+    return index;
   }
 
-  analyzeDirCompact(dirPath) {
-    const files = this.getRelevantFiles(dirPath);
-    const types = {};
-    
-    files.forEach(file => {
-      const ext = path.extname(file);
-      types[ext] = (types[ext] || 0) + 1;
-    });
-
-    return {
-      files: files.length,
-      types,
-      purpose: this.inferPurpose(path.basename(dirPath))
-    };
+  // Indexed projects with the prefix that makes their paths workspace-relative ('' for one project)
+  projects() {
+    if (!this.workspace) return [{ model: this.model, emitter: this.emitter, prefix: '' }];
+    return this.workspace.packages.map(pkg => ({ model: pkg.model, emitter: pkg.emitter, prefix: pkg.path }));
   }
 
-  getRelevantFiles(dir) {
-    const files = [];
-    try {
-      const items = fs.readdirSync(dir, { withFileTypes: true });
-      
-      for (const item of items) {
-        if (item.name.startsWith('.') || item.name === 'node_modules') continue;
-        
-        const fullPath = path.join(dir, item.name);
-        if (item.isDirectory()) {
-          files.push(...this.getRelevantFiles(fullPath));
-        } else if (this.isRelevantFile(item.name)) {
-          files.push(fullPath);
-        }
-      }
-    } catch (e) {
-      // Skip inaccessible directories
-    }
-    return files;
+  // Project owning a "<file>[:symbol]" target, with the file relative to that project
+  resolveTarget(target) {
+    if (!this.workspace) return { model: this.model, emitter: this.emitter, prefix: '', ...this.model.resolveTarget(target) };
+    const located = this.workspace.locate(target);
+    if (!located) throw new Error(`"${target}" is not inside a workspace package`);
+    const { model, emitter, path: prefix } = located.pkg;
+    return { model, emitter, prefix, ...model.resolveTarget(located.relativePath) };
   }
 
-  isRelevantFile(filename) {
-    return /\.(js|jsx|ts|tsx)$/.test(filename);
+  // File-to-file edges of every project, with cross-package imports joined in
+  dependencyEdges() {
+    return this.projects().flatMap(({ model, prefix }) => [
+      ...model.dependencies.edges.map(edge => ({ ...edge, from: path.join(prefix, edge.from), to: path.join(prefix, edge.to) })),
+      ...(model.dependencies.packages || []).map(edge => ({
+        from: path.join(prefix, edge.from),
+        to: this.workspace.resolvePath(edge.package, edge.to),
+        names: edge.names
+      }))
+    ]);
   }
 
-  async analyzeKeyFiles() {
-    console.log('🔍 Analyzing key source files...');
-    
-    const sourceFiles = this.getRelevantFiles(this.projectPath)
-      .filter(file => 
-        !file.includes('node_modules') && 
-        !file.includes('.next') &&
-        !file.includes('dist/')
-      )
-      .slice(0, 50); // Limit to most important files
-
-    let analyzed = 0;
-    for (const file of sourceFiles) {
-      if (this.currentTokens > this.maxTokens * 0.8) break; // Stop before hitting limit
-      
-      try {
-        const analysis = await this.analyzeFileCompact(file);
-        if (analysis) {
-          const relativePath = path.relative(this.projectPath, file);
-          this.index.modules[relativePath] = analysis;
-          analyzed++;
-        }
-      } catch (error) {
-        // Skip problematic files
-      }
-    }
-    
-    console.log(`📊 Analyzed ${analyzed} key files`);
+  watch() {
+    this.watchers = core.watchProject(this.projectPath, {
+      outputFiles: Object.values(this.outputs),
+      ignore: relativePath => (this.workspace ? this.workspace : this.model.project).isIgnored(relativePath),
+      onChange: changed => this.update(changed)
+    });
   }
 
-  async analyzeFileCompact(filePath) {
-    const code = fs.readFileSync(filePath, 'utf8');
-    if (code.length > 10000) return null; // Skip very large files
-    
-    const relativePath = path.relative(this.projectPath, filePath);
-    
-    // Parse with appropriate plugins
-    const plugins = ['jsx'];
-    if (filePath.endsWith('.ts') || filePath.endsWith('.tsx')) {
-      plugins.push('typescript');
-    }
-
-    let ast;
-    try {
-      ast = parser.parse(code, {
-        sourceType: 'module',
-        plugins,
-        errorRecovery: true
-      });
-    } catch (error) {
-      return null;
-    }
-
-    const analysis = {
-      type: this.classifyFile(relativePath),
-      exports: [],
-      imports: [],
-      features: []
-    };
+  async update(changedPaths) {
+    const { updated, changed } = await (this.workspace || this.model).update(changedPaths);
+    // Budget decisions depend on every file, so selection is redone from the in-memory model
+    this.index = this.emitIndex();
+    this.saveIndex();
+    console.log(`🔄 Updated ${updated} of ${changed} changed files (~${this.tokens} tokens)`);
+  }
 
-    traverse(ast, {
-      ImportDeclaration: (path) => {
-        const source = path.node.source.value;
-        if (!source.startsWith('.') && !source.startsWith('/')) {
-          analysis.imports.push(source); // Only external imports
+  // MCP tools read the in-memory models, so they see files the budget left out of the index.
+  // Paths are workspace-relative in a monorepo.
+  mcpTools() {
+    return {
+      search_symbols: {
+        description: 'Search exported functions, components, hooks, API handlers and types by fuzzy name and type',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: { type: 'string', description: 'Fuzzy symbol name' },
+            type: { type: 'string', description: 'component, hook, server-action, api-handler, function, interface, type or enum' },
+            limit: { type: 'number', description: 'Maximum results (default 50)' }
+          }
+        },
+        handler: ({ query, type, limit = 50 }) => this.searchSymbols(query, type).slice(0, limit)
+      },
+      get_module: {
+        description: 'Exports, external imports, internal dependencies and importers of one file',
+        inputSchema: {
+          type: 'object',
+          properties: { file: { type: 'string', description: 'Project-relative file path' } },
+          required: ['file']
+        },
+        handler: ({ file }) => {
+          const { emitter, prefix, file: relativePath } = this.resolveTarget(file);
+          const workspacePath = path.join(prefix, relativePath);
+          const edges = this.dependencyEdges();
+          return {
+            file: workspacePath,
+            ...emitter.emitModule(relativePath),
+            symbols: Object.values(emitter.emitExports(relativePath)),
+            dependencies: edges.filter(edge => edge.from === workspacePath).map(edge => edge.to),
+            importers: edges.filter(edge => edge.to === workspacePath).map(edge => edge.from)
+          };
         }
       },
-
-      ExportDefaultDeclaration: (path) => {
-        const name = this.getExportName(path.node);
-        if (name) analysis.exports.push(name);
+      list_routes: {
+        description: 'Route entry points (pages, layouts, API handlers, middleware) with their exports',
+        inputSchema: { type: 'object', properties: {} },
+        handler: () => this.projects().flatMap(({ model, prefix }) => Object.keys(model.files)
+          .filter(file => model.adapter.isEntryPoint(file))
+          .sort()
+          .map(file => ({
+            file: path.join(prefix, file),
+            type: model.adapter.classifyFile(file, model.files[file]),
+            exports: model.getExports(file)
+          })))
       },
-
-      ExportNamedDeclaration: (path) => {
-        if (path.node.specifiers) {
-          path.node.specifiers.forEach(spec => {
-            analysis.exports.push(spec.exported.name);
-          });
+      get_dependents: {
+        description: 'Files importing a file directly or transitively, grouped by depth',
+        inputSchema: {
+          type: 'object',
+          properties: { file: { type: 'string', description: 'Project-relative file path' } },
+          required: ['file']
+        },
+        handler: ({ file }) => {
+          const { prefix, file: relativePath } = this.resolveTarget(file);
+          const workspacePath = path.join(prefix, relativePath);
+          return { file: workspacePath, depths: core.findDependents(this.dependencyEdges(), workspacePath) };
         }
       },
-
-      FunctionDeclaration: (path) => {
-        const name = path.node.id?.name;
-        if (name && this.isExported(path)) {
-          this.index.exports[`${relativePath}:${name}`] = {
-            name,
-            type: this.classifyFunction(name),
-            params: path.node.params.length
-          };
+      expand_symbol: {
+        description: 'Source of a top-level symbol with its leading comments and the imports it uses',
+        inputSchema: {
+          type: 'object',
+          properties: { target: { type: 'string', description: '<file>:<symbol>' } },
+          required: ['target']
+        },
+        handler: ({ target }) => {
+          const { model, file, symbol } = this.resolveTarget(target);
+          if (!symbol) throw new Error('Expected <file>:<symbol>');
+          const snippet = model.extractSymbol(file, symbol);
+          if (!snippet) throw new Error(`Symbol not found: ${target}`);
+          return snippet;
         }
-      },
-
-      // Detect Next.js features
-      CallExpression: (path) => {
-        const callee = path.node.callee;
-        if (callee.name === 'getServerSideProps') analysis.features.push('SSR');
-        if (callee.name === 'getStaticProps') analysis.features.push('SSG');
-        if (callee.name === 'getStaticPaths') analysis.features.push('ISR');
       }
-    });
-
-    // Keep only unique imports and limit count
-    analysis.imports = [...new Set(analysis.imports)].slice(0, 10);
-    analysis.exports = analysis.exports.slice(0, 10);
-
-    // Calculate rough size
-    const size = this.estimateTokens(analysis);
-    this.currentTokens += size;
-
-    return analysis;
-  }
-
-  getExportName(declaration) {
-    if (declaration.declaration) {
-      return declaration.declaration.name || 
-             declaration.declaration.id?.name || 
-             'default';
-    }
-    return 'default';
-  }
-
-  isExported(path) {
-    let current = path;
-    while (current) {
-      if (current.isExportDefaultDeclaration() || current.isExportNamedDeclaration()) {
-        return true;
-      }
-      current = current.parentPath;
-    }
-    return false;
-  }
-
-  classifyFile(filePath) {
-    if (filePath.includes('/api/')) return 'api';
-    if (filePath.includes('/pages/')) return 'page';
-    if (filePath.includes('/app/') && filePath.includes('/page.')) return 'page';
-    if (filePath.includes('/app/') && filePath.includes('/layout.')) return 'layout';
-    if (filePath.includes('/components/')) return 'component';
-    if (filePath.includes('/hooks/')) return 'hook';
-    if (filePath.includes('/lib/') || filePath.includes('/utils/')) return 'util';
-    return 'source';
-  }
-
-  classifyFunction(name) {
-    if (!name) return 'function';
-    if (name[0] === name[0].toUpperCase()) return 'component';
-    if (name.startsWith('use') && name[3] === name[3].toUpperCase()) return 'hook';
-    if (['GET', 'POST', 'PUT', 'DELETE', 'PATCH'].includes(name)) return 'handler';
-    return 'function';
-  }
-
-  detectPatterns() {
-    console.log('🏗️ Detecting architectural patterns...');
-    
-    this.index.patterns = {
-      router: this.detectRouter(),
-      typescript: fs.existsSync(path.join(this.projectPath, 'tsconfig.json')),
-      tailwind: this.hasPackage('tailwindcss'),
-      testing: this.hasPackage('jest') || this.hasPackage('@testing-library/react'),
-      stateManagement: this.detectStateManagement(),
-      styling: this.detectStyling(),
-      dataFetching: this.detectDataFetching()
     };
   }
 
-  detectRouter() {
-    if (fs.existsSync(path.join(this.projectPath, 'app'))) return 'app';
-    if (fs.existsSync(path.join(this.projectPath, 'src/app'))) return 'app';
-    if (fs.existsSync(path.join(this.projectPath, 'pages'))) return 'pages';
-    if (fs.existsSync(path.join(this.projectPath, 'src/pages'))) return 'pages';
-    return 'unknown';
-  }
-
-  detectStateManagement() {
-    if (this.hasPackage('zustand')) return 'zustand';
-    if (this.hasPackage('@reduxjs/toolkit')) return 'redux-toolkit';
-    if (this.hasPackage('redux')) return 'redux';
-    if (this.hasPackage('jotai')) return 'jotai';
-    return 'context';
+  searchSymbols(query, type) {
+    const symbols = this.projects().flatMap(({ model, prefix }) => Object.entries(model.files).flatMap(([file, fileModel]) =>
+      fileModel.symbols
+        .filter(symbol => symbol.exported)
+        .map(symbol => ({ name: symbol.name, type: symbol.kind, params: symbol.params.length, file: path.join(prefix, file) }))));
+    return symbols
+      .filter(entry => !type || entry.type === type)
+      .map(entry => ({ ...entry, score: query ? core.fuzzyScore(query, entry.name) : 1 }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score || a.file.localeCompare(b.file));
   }
 
-  detectStyling() {
-    if (this.hasPackage('tailwindcss')) return 'tailwind';
-    if (this.hasPackage('styled-components')) return 'styled-components';
-    if (this.hasPackage('@emotion/react')) return 'emotion';
-    if (this.hasPackage('@mui/material')) return 'mui';
-    return 'css';
-  }
-
-  detectDataFetching() {
-    if (this.hasPackage('@tanstack/react-query')) return 'tanstack-query';
-    if (this.hasPackage('react-query')) return 'react-query';
-    if (this.hasPackage('swr')) return 'swr';
-    if (this.hasPackage('apollo-client')) return 'apollo';
-    return 'fetch';
-  }
-
-  hasPackage(packageName) {
-    return !!(this.packageJson.dependencies?.[packageName] || 
-              this.packageJson.devDependencies?.[packageName]);
+  format(index) {
+    if (!this.workspace) return this.emitter.format(index);
+    let content = '# Codebase Index\n\n';
+    content += `**Generated:** ${index.meta.generated}\n`;
+    content += `**Size:** ~${this.tokens} tokens\n\n`;
+    content += core.formatManifest(index.workspace);
+    this.workspace.packages.forEach(pkg => {
+      content += `\n${core.formatPackageSection(pkg.emitter.format(index.packages[pkg.name]), pkg)}`;
+    });
+    return content;
   }
 
-  inferPurpose(dirName) {
-    const purposes = {
-      'app': 'App Router pages and layouts',
-      'pages': 'Pages Router routes',
-      'components': 'Reusable UI components',
-      'lib': 'Utility libraries',
-      'utils': 'Helper functions',
-      'hooks': 'Custom React hooks',
-      'api': 'API route handlers'
-    };
-    return purposes[dirName] || 'Source files';
+  serveMcp() {
+    core.serveMcp(this.mcpTools(), MCP_SERVER_INFO);
   }
 
   saveIndex() {
     // Save compact JSON version
-    const jsonPath = path.join(this.projectPath, 'code-index.json');
+    const jsonPath = path.resolve(this.projectPath, this.outputs.json);
+    fs.mkdirSync(path.dirname(jsonPath), { recursive: true });
     fs.writeFileSync(jsonPath, JSON.stringify(this.index, null, 2));
     console.log(`💾 Compact index saved to ${jsonPath}`);
-    
-    // Save human-readable markdown version
-    const mdPath = path.join(this.projectPath, 'code-index.md');
-    this.saveMarkdownIndex(mdPath);
-  }
-
-  saveMarkdownIndex(outputPath) {
-    let content = `# Codebase Index\n\n`;
-    
-    content += `**Generated:** ${this.index.meta.generated}\n`;
-    content += `**Framework:** ${this.index.meta.framework}\n`;
-    content += `**Size:** ~${this.currentTokens} tokens\n\n`;
-    
-    // Project Structure
-    if (Object.keys(this.index.structure).length > 0) {
-      content += `## Project Structure\n\n`;
-      Object.entries(this.index.structure).forEach(([dir, info]) => {
-        content += `- **${dir}**: ${info.purpose} (${info.files} files)\n`;
-      });
-      content += '\n';
-    }
 
-    // Architectural Patterns
-    content += `## Architecture\n\n`;
-    Object.entries(this.index.patterns).forEach(([pattern, value]) => {
-      const status = typeof value === 'boolean' ? (value ? '✅' : '❌') : value;
-      content += `- **${pattern}**: ${status}\n`;
-    });
-    content += '\n';
-
-    // Key Modules
-    const moduleCount = Object.keys(this.index.modules).length;
-    if (moduleCount > 0) {
-      content += `## Key Modules (${moduleCount})\n\n`;
-      Object.entries(this.index.modules).forEach(([file, info]) => {
-        if (info.exports.length > 0) {
-          content += `- **${file}**: ${info.type} - exports ${info.exports.join(', ')}\n`;
-        }
-      });
-      content += '\n';
-    }
-
-    // Exported Functions/Components
-    const exportCount = Object.keys(this.index.exports).length;
-    if (exportCount > 0) {
-      content += `## Exports (${exportCount})\n\n`;
-      Object.entries(this.index.exports).forEach(([key, info]) => {
-        content += `- **${info.name}**: ${info.type} (${info.params} params)\n`;
-      });
-    }
-
-    fs.writeFileSync(outputPath, content);
-    console.log(`📄 Readable index saved to ${outputPath}`);
+    // Save human-readable markdown version
+    const mdPath = path.resolve(this.projectPath, this.outputs.markdown);
+    fs.mkdirSync(path.dirname(mdPath), { recursive: true });
+    fs.writeFileSync(mdPath, this.format(this.index));
+    console.log(`📄 Readable index saved to ${mdPath}`);
   }
 }
 
 // CLI interface
 if (require.main === module) {
-  const projectPath = process.argv[2] || '.';
-  
-  console.log('🎯 Compact Code Index Generator for Claude Code');
-  console.log(`📍 Project: ${path.resolve(projectPath)}\n`);
-  
-  const generator = new CompactCodeIndexGenerator(projectPath);
-  generator.generate().catch(console.error);
+  core.runCli({
+    Generator: CompactCodeIndexGenerator,
+    banner: '🎯 Compact Code Index Generator for Claude Code'
+  });
 }
 
-module.exports = CompactCodeIndexGenerator;
\ No newline at end of file
+module.exports = CompactCodeIndexGenerator;
@@ -1,786 +1,444 @@
 #!/usr/bin/env node
 /**
  * Next.js Codebase Index Generator
- * Generates hierarchical code index for LLM rules
- * 
- * Usage: node generate-index.js [project-path]
+ * Generates hierarchical code index for LLM rules; monorepos get one section per workspace package
+ *
+ * Usage: node generate-index.js [project-path] [--no-cache] [--watch] [--no-workspaces]
+ *                                [--expand <file>:<symbol>] [--auto-expand <count>]
+ *        node generate-index.js [project-path] --check [--json]
+ *        node generate-index.js impact <file>[:symbol] [project-path] [--json]
+ *        node generate-index.js unused [project-path] [--json]
+ *        node generate-index.js query [project-path] [--type <t>] [--name <q>] [--path <prefix>]
+ *                                [--exported] [--route <pattern>] [--limit <n>] [--format json|md]
+ *        node generate-index.js diff <before.json> <after.json> [--format json|md] [--fail-on-signature-change]
+ *        node generate-index.js diff --ref <git-ref> [project-path] [--format json|md] [--fail-on-signature-change]
+ *        node generate-index.js mcp [project-path] [--watch]
  */
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
-
-// Babel parser for JavaScript/TypeScript
-let parser, traverse;
-try {
-  parser = require('@babel/parser');
-  traverse = require('@babel/traverse').default;
-} catch (e) {
-  console.error('Please install Babel dependencies: npm install @babel/parser @babel/traverse');
-  process.exit(1);
-}
 
-class NextJSIndexGenerator {
-  constructor(projectPath = '.') {
-    this.projectPath = path.resolve(projectPath);
-    this.packageJson = this.loadPackageJson();
-    this.index = {
-      metadata: {
-        projectPath: this.projectPath,
-        generatedAt: new Date().toISOString(),
-        nextjsVersion: this.detectNextJSVersion()
-      },
-      level1: {}, // Project structure
-      level2: {}, // Module summaries
-      level3: {}, // Function/component signatures
-      level4: {}, // Implementation details (populated on demand)
-      architectural: {
-        dependencies: {},
-        patterns: {},
-        routes: {}
-      }
-    };
-  }
+// Shared analysis core: copied next to this script, or one level up in the ai-configs repo
+const core = require(fs.existsSync(path.join(__dirname, 'code-index-core')) ? './code-index-core' : '../code-index-core');
 
-  loadPackageJson() {
-    try {
-      return JSON.parse(fs.readFileSync(path.join(this.projectPath, 'package.json'), 'utf8'));
-    } catch (e) {
-      return { dependencies: {}, devDependencies: {} };
-    }
-  }
+const CACHE_FILE = '.codebase-index-cache.json';
+// Default output paths; .codeindexrc `output` may move them
+const OUTPUT_FILES = { json: 'codebase-index.json', markdown: 'codebase-index-formatted.md' };
+const MCP_SERVER_INFO = { name: 'nextjs-codebase-index', version: '1.0.0' };
 
-  detectNextJSVersion() {
-    return this.packageJson.dependencies?.next || this.packageJson.devDependencies?.next || 'unknown';
+class NextJSIndexGenerator {
+  constructor(projectPath = '.', options = {}) {
+    const config = core.loadConfig(projectPath, 'cursor');
+    this.options = { cache: true, gitWindowDays: 90, expand: [], autoExpand: 5, workspaces: true, ...options, config };
+    this.outputs = { ...OUTPUT_FILES, ...config.output };
+    const layout = this.options.workspaces && core.detectWorkspace(projectPath);
+    // Outputs are written at the workspace root; listing them as sources would index the index
+    const outputFiles = Object.values(this.outputs).map(file => path.resolve(layout ? layout.root : projectPath, file));
+    if (layout) {
+      this.workspace = new core.Workspace(layout, { ...this.options, cacheFile: CACHE_FILE, outputFiles });
+      this.workspace.packages.forEach(pkg => {
+        // --expand targets are workspace-relative; each package expands its own
+        const expand = this.options.expand
+          .map(target => this.workspace.locate(target))
+          .filter(located => located?.pkg === pkg)
+          .map(located => located.relativePath);
+        pkg.emitter = new core.HierarchicalEmitter(pkg.model, { ...this.options, expand });
+      });
+      this.projectPath = layout.root;
+    } else {
+      this.model = new core.CodebaseModel(projectPath, { ...this.options, cacheFile: CACHE_FILE, outputFiles });
+      this.emitter = new core.HierarchicalEmitter(this.model, this.options);
+      this.projectPath = this.model.projectPath;
+    }
+    this.index = null;
+    this.view = null; // Flat levels read by impact, query and MCP tools
   }
 
   async generate() {
-    console.log('🚀 Generating Next.js codebase index...');
-    
-    // Level 1: Project structure
-    this.generateLevel1();
-    
-    // Level 2 & 3: File analysis
-    await this.analyzeSourceFiles();
-    
-    // Architectural patterns
-    this.analyzeArchitecturalPatterns();
-    
-    // Routes analysis
-    this.analyzeRoutes();
-    
+    console.log(`🚀 Generating Next.js codebase index${this.workspace ? ` for ${this.workspace.packages.length} workspace packages` : ''}...`);
+
+    await this.buildIndex(this.loadPreviousIndex());
+
     // Save index
     this.saveIndex();
-    
+
     console.log('✅ Index generated successfully!');
     return this.index;
   }
 
-  generateLevel1() {
-    console.log('📁 Analyzing project structure (recursive in critical dirs)...');
-    
-    const nextjsDirectories = [
-      'pages', 'app', 'src/pages', 'src/app', // Next.js routing
-      'components', 'src/components', // Components
-      'lib', 'src/lib', 'utils', 'src/utils', // Utilities
-      'hooks', 'src/hooks', // Custom hooks
-      'styles', 'src/styles', // Styles
-      'public', // Static files
-      'api', 'src/api', 'pages/api', 'src/pages/api', 'app/api', 'src/app/api' // API routes
-    ];
-
-    const visited = new Set();
-    
-    nextjsDirectories.forEach(baseDir => {
-      const fullBasePath = path.join(this.projectPath, baseDir);
-      if (fs.existsSync(fullBasePath)) {
-        // Recursively find all subdirectories (including baseDir itself)
-        const allDirs = this.getAllDirsRecursively(fullBasePath);
-        allDirs.forEach(dirPath => {
-          const relPath = path.relative(this.projectPath, dirPath);
-          if (visited.has(relPath)) return;
-          visited.add(relPath);
-          const stats = this.analyzeDirStats(dirPath);
-          const folderName = path.basename(dirPath);
-          this.index.level1[relPath] = {
-            purpose: this.inferFolderPurpose(folderName),
-            ...stats,
-            type: this.classifyDirectoryType(folderName)
-          };
-        });
-      }
-    });
-  }
-
-  getAllDirsRecursively(dir) {
-    // Returns [dir, ...all subdirs], excluding node_modules and hidden folders
-    let dirs = [dir];
-    try {
-      const items = fs.readdirSync(dir);
-      items.forEach(item => {
-        const fullPath = path.join(dir, item);
-        try {
-          const stat = fs.statSync(fullPath);
-          if (
-            stat.isDirectory() &&
-            !item.startsWith('.') &&
-            item !== 'node_modules'
-          ) {
-            dirs = dirs.concat(this.getAllDirsRecursively(fullPath));
-          }
-        } catch (e) {
-          // Skip dirs that can't be accessed
-        }
-      });
-    } catch (e) {
-      // Skip dirs that can't be read
-    }
-    return dirs;
-  }
-
-  analyzeDirStats(dirPath) {
-    const files = this.getFilesRecursively(dirPath);
-    const extensions = {};
-    
-    files.forEach(file => {
-      const ext = path.extname(file);
-      extensions[ext] = (extensions[ext] || 0) + 1;
-    });
+  // Builds the index in memory without saving it
+  async buildIndex(previous = {}) {
+    // Parse, resolve and date every source file
+    await (this.workspace || this.model).build();
 
-    return {
-      fileCount: files.length,
-      extensions,
-      lastModified: this.getLastModified(dirPath)
-    };
+    // Levels 1-4 and architectural data
+    this.index = this.emitIndex(previous);
+    return this.index;
   }
 
-  getFilesRecursively(dir) {
-    const files = [];
+  // API-surface changes from the project as committed at a git ref to the working tree
+  async diffRevision(ref) {
+    const snapshot = core.checkoutRevision(this.projectPath, ref);
     try {
-      const items = fs.readdirSync(dir);
-      
-      items.forEach(item => {
-        const fullPath = path.join(dir, item);
-        try {
-          const stat = fs.statSync(fullPath);
-          
-          if (stat.isDirectory() && !item.startsWith('.') && item !== 'node_modules') {
-            files.push(...this.getFilesRecursively(fullPath));
-          } else if (stat.isFile() && this.isRelevantFile(item)) {
-            files.push(fullPath);
-          }
-        } catch (e) {
-          // Skip files that can't be accessed
-        }
-      });
-    } catch (e) {
-      // Skip directories that can't be read
+      console.log(`⏪ Indexing ${ref}...`);
+      const base = new NextJSIndexGenerator(snapshot.root, { cache: false, autoExpand: 0, workspaces: this.options.workspaces });
+      const before = await base.buildIndex();
+      console.log('\n⏩ Indexing working tree...');
+      const after = await this.buildIndex();
+      return core.diffIndexes(before, after);
+    } finally {
+      snapshot.cleanup();
     }
-    
-    return files;
   }
 
-  isRelevantFile(filename) {
-    const relevantExtensions = ['.js', '.jsx', '.ts', '.tsx', '.json', '.css', '.scss', '.module.css'];
-    return relevantExtensions.some(ext => filename.endsWith(ext));
+  // Indexed projects with the prefix that makes their paths workspace-relative ('' for one project)
+  projects() {
+    if (!this.workspace) return [{ model: this.model, emitter: this.emitter, prefix: '' }];
+    return this.workspace.packages.map(pkg => ({ model: pkg.model, emitter: pkg.emitter, prefix: pkg.path }));
   }
 
-  async analyzeSourceFiles() {
-    console.log('🔍 Analyzing source files...');
-    
-    const sourceFiles = this.getFilesRecursively(this.projectPath).filter(file => {
-      const ext = path.extname(file);
-      return ['.js', '.jsx', '.ts', '.tsx'].includes(ext) && 
-             !file.includes('node_modules') &&
-             !file.includes('.next');
+  watch() {
+    this.watchers = core.watchProject(this.projectPath, {
+      outputFiles: Object.values(this.outputs),
+      ignore: relativePath => (this.workspace ? this.workspace : this.model.project).isIgnored(relativePath),
+      onChange: changed => this.update(changed)
     });
-
-    for (const file of sourceFiles) {
-      try {
-        await this.analyzeFile(file);
-      } catch (error) {
-        console.warn(`⚠️  Skipping ${file}: ${error.message}`);
-      }
-    }
   }
 
-  async analyzeFile(filePath) {
-    const code = fs.readFileSync(filePath, 'utf8');
-    const relativePath = path.relative(this.projectPath, filePath);
-    
-    // Parse with appropriate plugins
-    const plugins = ['jsx'];
-    if (filePath.endsWith('.ts') || filePath.endsWith('.tsx')) {
-      plugins.push('typescript');
-    }
-
-    let ast;
-    try {
-      ast = parser.parse(code, {
-        sourceType: 'module',
-        plugins
-      });
-    } catch (error) {
-      console.warn(`Parse error in ${relativePath}: ${error.message}`);
-      return;
-    }
-
-    const analysis = {
-      imports: [],
-      exports: [],
-      functions: [],
-      components: [],
-      hooks: [],
-      apiRoutes: [],
-      nextjsFeatures: []
-    };
-
-    const self = this;
-    const nextjsDataFetchingFns = [
-      'getServerSideProps',
-      'getStaticProps',
-      'getStaticPaths'
-    ];
-    traverse(ast, {
-      ImportDeclaration(path) {
-        analysis.imports.push({
-          source: path.node.source.value,
-          specifiers: path.node.specifiers.map(s => ({
-            type: s.type,
-            name: s.local.name,
-            imported: s.imported?.name
-          }))
-        });
-      },
-
-      ExportDefaultDeclaration(path) {
-        if (path.node.declaration) {
-          const name = path.node.declaration.name || 
-                      path.node.declaration.id?.name || 
-                      'default';
-          analysis.exports.push({ name, type: 'default' });
-          // Detect Next.js data fetching as default export (rare, but possible)
-          if (nextjsDataFetchingFns.includes(name)) {
-            analysis.nextjsFeatures.push(name);
-          }
-        }
-      },
-
-      ExportNamedDeclaration(path) {
-        // Detect exported function declarations
-        if (path.node.declaration && path.node.declaration.type === 'FunctionDeclaration') {
-          const fnName = path.node.declaration.id?.name;
-          if (nextjsDataFetchingFns.includes(fnName)) {
-            analysis.nextjsFeatures.push(fnName);
-          }
-        }
-        // Detect exported variable declarations
-        if (path.node.declaration && path.node.declaration.type === 'VariableDeclaration') {
-          path.node.declaration.declarations.forEach(decl => {
-            if (nextjsDataFetchingFns.includes(decl.id.name)) {
-              analysis.nextjsFeatures.push(decl.id.name);
-            }
-          });
-        }
-        // Existing logic for named exports
-        if (path.node.specifiers) {
-          path.node.specifiers.forEach(spec => {
-            analysis.exports.push({
-              name: spec.exported.name,
-              type: 'named'
-            });
-            // If the export is a Next.js data fetching function
-            if (nextjsDataFetchingFns.includes(spec.exported.name)) {
-              analysis.nextjsFeatures.push(spec.exported.name);
-            }
-          });
-        }
-      },
-
-      FunctionDeclaration(path) {
-        const func = {
-          name: path.node.id?.name,
-          params: path.node.params.map(p => self.getParamName(p)),
-          async: path.node.async,
-          isExported: self.isExported(path)
-        };
-        
-        if (self.isReactComponent(func.name)) {
-          analysis.components.push(func);
-        } else if (self.isCustomHook(func.name)) {
-          analysis.hooks.push(func);
-        } else if (self.isApiRoute(filePath, func.name)) {
-          analysis.apiRoutes.push(func);
-        } else {
-          analysis.functions.push(func);
-        }
-      },
-
-      ArrowFunctionExpression(path) {
-        const parent = path.parent;
-        if (parent.type === 'VariableDeclarator' && parent.id.name) {
-          const func = {
-            name: parent.id.name,
-            params: path.node.params.map(p => self.getParamName(p)),
-            async: path.node.async,
-            isExported: self.isExported(path)
-          };
-          
-          if (self.isReactComponent(func.name)) {
-            analysis.components.push(func);
-          } else if (self.isCustomHook(func.name)) {
-            analysis.hooks.push(func);
-          } else {
-            analysis.functions.push(func);
-          }
-        }
-      },
+  async update(changedPaths) {
+    const { updated, changed } = await (this.workspace || this.model).update(changedPaths);
+    this.index = this.emitIndex(this.index);
+    this.saveIndex();
+    console.log(`🔄 Updated ${updated} of ${changed} changed files`);
+  }
 
-      CallExpression(path) {
-        // Detect Next.js specific features
-        if (path.node.callee.name === 'getServerSideProps') {
-          analysis.nextjsFeatures.push('SSR');
-        } else if (path.node.callee.name === 'getStaticProps') {
-          analysis.nextjsFeatures.push('SSG');
-        } else if (path.node.callee.name === 'getStaticPaths') {
-          analysis.nextjsFeatures.push('Dynamic Routes');
-        }
-      }
-    });
+  // A single project's levels, or a workspace manifest with one such index per package
+  emitIndex(previous) {
+    if (!this.workspace) return this.emitter.emit(previous.level4 || {});
 
-    // Level 2: Module summary
-    this.index.level2[relativePath] = {
-      purpose: this.inferFilePurpose(relativePath, analysis),
-      type: this.classifyFileType(relativePath, analysis),
-      imports: analysis.imports.map(imp => imp.source),
-      exports: analysis.exports.map(exp => exp.name),
-      complexity: this.calculateComplexity(analysis),
-      nextjsFeatures: analysis.nextjsFeatures,
-      lastModified: fs.statSync(filePath).mtime.toISOString()
+    const index = {
+      metadata: { projectPath: this.projectPath, generatedAt: new Date().toISOString() },
+      workspace: this.workspace.manifest(),
+      packages: {}
     };
-
-    // Level 3: Function/component signatures
-    [...analysis.functions, ...analysis.components, ...analysis.hooks, ...analysis.apiRoutes].forEach(item => {
-      if (item.name) {
-        const key = `${relativePath}:${item.name}`;
-        this.index.level3[key] = {
-          name: item.name,
-          signature: `${item.name}(${item.params.join(', ')})${item.async ? ': Promise' : ''}`,
-          type: this.classifyFunction(item, analysis),
-          file: relativePath,
-          exported: item.isExported,
-          async: item.async
-        };
-      }
+    this.workspace.packages.forEach(pkg => {
+      console.log(`\n📦 Indexing ${pkg.name}...`);
+      index.packages[pkg.name] = pkg.emitter.emit(previous.packages?.[pkg.name]?.level4 || {});
     });
+    return index;
   }
 
-  getParamName(param) {
-    switch (param.type) {
-      case 'Identifier':
-        return param.name;
-      case 'ObjectPattern':
-        return `{${param.properties.map(p => p.key?.name || '...').join(', ')}}`;
-      case 'ArrayPattern':
-        return `[${param.elements.map(e => e?.name || '...').join(', ')}]`;
-      case 'RestElement':
-        return `...${param.argument.name}`;
-      default:
-        return 'complex';
-    }
-  }
-
-  isExported(path) {
-    // Check if function is exported
-    let current = path;
-    while (current) {
-      if (current.isExportDefaultDeclaration() || current.isExportNamedDeclaration()) {
-        return true;
-      }
-      current = current.parentPath;
+  loadIndex() {
+    const indexPath = this.outputPath('json');
+    if (!fs.existsSync(indexPath)) {
+      throw new Error(`No index at ${indexPath}. Run "node nextjs_index_generator.js" first.`);
     }
-    return false;
-  }
-
-  isReactComponent(name) {
-    return name && name[0] === name[0].toUpperCase();
+    this.index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    this.view = this.index.packages ? core.flattenWorkspaceIndex(this.index) : this.index;
+    return this.index;
   }
 
-  isCustomHook(name) {
-    return name && name.startsWith('use') && name[3] === name[3].toUpperCase();
-  }
+  analyzeImpact(target) {
+    const { file, symbol } = this.parseTarget(target);
+    const depths = core.findDependents(this.view.architectural.dependencies.edges || [], file, symbol)
+      .map(({ depth, files }) => ({ depth, files: files.map(f => this.describeImpactedFile(f)) }));
 
-  isApiRoute(filePath, funcName) {
-    return filePath.includes('/api/') && ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'default'].includes(funcName);
+    const affected = depths.flatMap(level => level.files);
+    return {
+      target: file,
+      symbol: symbol || null,
+      depths,
+      totals: {
+        modules: affected.length,
+        routes: affected.reduce((sum, entry) => sum + entry.routes.length, 0)
+      }
+    };
   }
 
-  classifyFunction(func, analysis) {
-    if (analysis.components.includes(func)) return 'component';
-    if (analysis.hooks.includes(func)) return 'hook';
-    if (analysis.apiRoutes.includes(func)) return 'api-handler';
-    return 'function';
+  parseTarget(target) {
+    return core.parseTarget(target, Object.keys(this.view.level2), this.projectPath);
   }
 
-  calculateComplexity(analysis) {
-    return analysis.functions.length + 
-           analysis.components.length + 
-           analysis.hooks.length + 
-           analysis.apiRoutes.length;
+  describeImpactedFile(file) {
+    const routes = Object.values(this.view.architectural.routes || {})
+      .flat()
+      .filter(route => route.file === file || Object.values(route.chain || {}).some(files => files.includes(file)))
+      .map(route => route.path);
+    const exports = Object.values(this.view.level3)
+      .filter(entry => entry.file === file && entry.exported)
+      .map(entry => entry.name);
+    return { file, routes, exports };
   }
 
-  analyzeArchitecturalPatterns() {
-    console.log('🏗️  Analyzing architectural patterns...');
-    
-    const patterns = {
-      'pages-router': this.detectPagesRouter(),
-      'app-router': this.detectAppRouter(),
-      'src-directory': fs.existsSync(path.join(this.projectPath, 'src')),
-      'typescript': this.detectTypeScript(),
-      'tailwind': this.detectTailwind(),
-      'styled-components': this.hasPackage('styled-components'),
-      'emotion': this.hasPackage('@emotion/react') || this.hasPackage('@emotion/styled'),
-      'mui': this.hasPackage('@mui/material') || this.hasPackage('@material-ui/core'),
-      'prisma': this.hasPackage('prisma') || this.hasPackage('@prisma/client'),
-      'trpc': this.hasPackage('@trpc/server') || this.hasPackage('@trpc/client'),
-      'next-auth': this.hasPackage('next-auth') || this.hasPackage('@auth/nextjs')
-    };
+  formatImpact(impact) {
+    const target = impact.symbol ? `${impact.target}:${impact.symbol}` : impact.target;
+    let content = `# Impact of ${target}\n\n`;
 
-    this.index.architectural.patterns = patterns;
-  }
+    if (impact.depths.length === 0) {
+      return content + 'No project files depend on this target.\n';
+    }
 
-  detectPagesRouter() {
-    const pagesDirectories = [
-      path.join(this.projectPath, 'pages'),
-      path.join(this.projectPath, 'src/pages')
-    ];
-    
-    return pagesDirectories.some(dir => {
-      if (!fs.existsSync(dir)) return false;
-      
-      // Check if it has actual page files (not just _app.js, _document.js)
-      const files = this.getFilesRecursively(dir);
-      return files.some(file => {
-        const basename = path.basename(file, path.extname(file));
-        return !basename.startsWith('_') && ['.js', '.jsx', '.ts', '.tsx'].includes(path.extname(file));
+    impact.depths.forEach(({ depth, files }) => {
+      content += `## Depth ${depth}${depth === 1 ? ' (direct importers)' : ''}\n`;
+      files.forEach(entry => {
+        content += `- **${entry.file}**`;
+        if (entry.routes.length > 0) content += ` — routes: ${entry.routes.join(', ')}`;
+        if (entry.exports.length > 0) content += ` — exports: ${entry.exports.join(', ')}`;
+        content += '\n';
       });
+      content += '\n';
     });
-  }
 
-  detectAppRouter() {
-    const appDirectories = [
-      path.join(this.projectPath, 'app'),
-      path.join(this.projectPath, 'src/app')
-    ];
-    
-    return appDirectories.some(dir => {
-      if (!fs.existsSync(dir)) return false;
-      
-      // Check for app router specific files
-      const files = this.getFilesRecursively(dir);
-      return files.some(file => {
-        const basename = path.basename(file, path.extname(file));
-        return ['page', 'layout', 'loading', 'error', 'not-found', 'template'].includes(basename) &&
-               ['.js', '.jsx', '.ts', '.tsx'].includes(path.extname(file));
-      });
-    });
+    content += `**Total:** ${impact.totals.modules} modules, ${impact.totals.routes} routes\n`;
+    return content;
   }
 
-  detectTypeScript() {
-    return fs.existsSync(path.join(this.projectPath, 'tsconfig.json')) ||
-           fs.existsSync(path.join(this.projectPath, 'next-env.d.ts')) ||
-           this.hasPackage('typescript') ||
-           this.hasPackage('@types/node');
+  // Exports nothing imports and files no entry point reaches, from the saved index
+  unusedCode() {
+    const unused = this.view.architectural.unused;
+    if (!unused) throw new Error('The index has no unused-code data; enable the "unused" analyzer and regenerate it.');
+    return unused;
   }
 
-  detectTailwind() {
-    // Check for config files
-    const configFiles = [
-      'tailwind.config.js',
-      'tailwind.config.ts',
-      'tailwind.config.mjs',
-      'tailwind.config.cjs'
-    ];
-    
-    const hasConfigFile = configFiles.some(file => 
-      fs.existsSync(path.join(this.projectPath, file))
-    );
-    
-    if (hasConfigFile) return true;
-    
-    // Check package.json
-    if (this.hasPackage('tailwindcss')) return true;
-    
-    // Check for @tailwind directives in CSS files
-    const cssFiles = this.getFilesRecursively(this.projectPath).filter(file => 
-      ['.css', '.scss', '.sass'].includes(path.extname(file))
-    );
-    
-    for (const cssFile of cssFiles) {
+  loadPreviousIndex() {
+    const outputPath = this.outputPath('json');
+    // Preserve existing level4 if present
+    if (fs.existsSync(outputPath)) {
       try {
-        const content = fs.readFileSync(cssFile, 'utf8');
-        if (content.includes('@tailwind') || content.includes('tailwindcss')) {
-          return true;
+        const prev = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+        if (prev && typeof prev === 'object') {
+          return prev;
         }
       } catch (e) {
-        // Skip files that can't be read
+        // Ignore parse errors, treat as no previous level4
       }
     }
-    
-    return false;
-  }
-
-  analyzeRoutes() {
-    console.log('🛣️  Analyzing routes...');
-    
-    const routes = {};
-    
-    // Pages router
-    const pagesDir = path.join(this.projectPath, 'pages');
-    const srcPagesDir = path.join(this.projectPath, 'src/pages');
-    
-    if (fs.existsSync(pagesDir)) {
-      routes.pages = this.extractRoutes(pagesDir, 'pages');
-    } else if (fs.existsSync(srcPagesDir)) {
-      routes.pages = this.extractRoutes(srcPagesDir, 'pages');
-    }
-
-    // App router
-    const appDir = path.join(this.projectPath, 'app');
-    const srcAppDir = path.join(this.projectPath, 'src/app');
-    
-    if (fs.existsSync(appDir)) {
-      routes.app = this.extractRoutes(appDir, 'app');
-    } else if (fs.existsSync(srcAppDir)) {
-      routes.app = this.extractRoutes(srcAppDir, 'app');
+    return {};
+  }
+
+  query({ type, name, path: prefix, exported, route, limit = 50 } = {}) {
+    const types = type ? String(type).split(',') : null;
+
+    const routes = route
+      ? Object.entries(this.view.architectural.routes || {}).flatMap(([router, entries]) =>
+        entries.filter(entry => core.matchRoutePattern(String(route), entry.path)).map(entry => ({ router, ...entry })))
+      : [];
+    const routeFiles = new Set(routes.map(entry => entry.file));
+
+    let symbols = Object.entries(this.view.level3)
+      .filter(([, entry]) => !types || types.includes(entry.type))
+      .filter(([, entry]) => !prefix || entry.file.startsWith(prefix))
+      .filter(([, entry]) => !exported || entry.exported)
+      .filter(([, entry]) => !route || routeFiles.has(entry.file))
+      .map(([key, entry]) => ({ key, ...entry }));
+
+    if (name) {
+      symbols = symbols
+        .map(entry => ({ ...entry, score: core.fuzzyScore(String(name), entry.name) }))
+        .filter(entry => entry.score > 0)
+        .sort((a, b) => b.score - a.score || a.key.localeCompare(b.key));
     }
 
-    this.index.architectural.routes = routes;
-  }
-
-  extractRoutes(dir, type) {
-    const routes = [];
-    const files = this.getFilesRecursively(dir);
-    
-    files.forEach(file => {
-      const relativePath = path.relative(dir, file);
-      const route = this.filePathToRoute(relativePath, type);
-      if (route) {
-        routes.push({
-          path: route,
-          file: relativePath,
-          type: this.getRouteType(file)
-        });
-      }
-    });
-    
-    return routes;
+    return {
+      symbols: symbols.slice(0, Number(limit)),
+      total: symbols.length,
+      routes
+    };
   }
 
-  filePathToRoute(filePath, routerType) {
-    // Convert file path to Next.js route
-    let route = filePath.replace(/\.(js|jsx|ts|tsx)$/, '');
-    
-    if (routerType === 'pages') {
-      if (route === 'index') return '/';
-      if (route.endsWith('/index')) route = route.replace('/index', '');
-      // Skip special Next.js files
-      if (route.startsWith('_') || route.includes('/_')) return null;
-    } else if (routerType === 'app') {
-      if (route.endsWith('/page')) route = route.replace('/page', '');
-      if (route === 'page') return '/';
-      // Only include actual page routes for app router
-      if (!filePath.includes('/page.') && !filePath.includes('/layout.') && !filePath.includes('/loading.') && !filePath.includes('/error.')) {
-        return null;
-      }
+  formatQuery(result) {
+    let content = '';
+    if (result.symbols.length > 0 || result.routes.length === 0) {
+      content += `## Symbols (${result.symbols.length} of ${result.total})\n`;
+      result.symbols.forEach(entry => {
+        content += `- **${entry.name}**: \`${entry.signature}\` (${entry.type}) in ${entry.file}`;
+        content += entry.exported ? ' [EXPORTED]\n' : '\n';
+      });
     }
-    
-    // Handle dynamic routes
-    route = route.replace(/\[([^\]]+)\]/g, ':$1');
-    
-    return route.startsWith('/') ? route : '/' + route;
-  }
-
-  getRouteType(filePath) {
-    const basename = path.basename(filePath, path.extname(filePath));
-    if (basename === 'layout') return 'layout';
-    if (basename === 'loading') return 'loading';
-    if (basename === 'error') return 'error';
-    if (basename === 'not-found') return 'not-found';
-    if (basename === 'page') return 'page';
-    if (filePath.includes('/api/')) return 'api';
-    return 'page';
-  }
-
-  hasPackage(packageName) {
-    return !!(this.packageJson.dependencies?.[packageName] || 
-              this.packageJson.devDependencies?.[packageName] ||
-              this.packageJson.peerDependencies?.[packageName]);
+    if (result.routes.length > 0) {
+      content += `${content ? '\n' : ''}## Routes (${result.routes.length})\n`;
+      result.routes.forEach(entry => {
+        content += `- **${entry.path}**: ${entry.file} (${entry.type}, ${entry.router})\n`;
+      });
+    }
+    return content;
   }
 
-  inferFolderPurpose(folderName) {
-    const purposes = {
-      'pages': 'Next.js Pages Router - file-based routing',
-      'app': 'Next.js App Router - modern routing with layouts',
-      'components': 'Reusable React components',
-      'lib': 'Library functions and utilities',
-      'utils': 'Helper functions and utilities',
-      'hooks': 'Custom React hooks',
-      'styles': 'CSS and styling files',
-      'public': 'Static assets served at root',
-      'api': 'API route handlers',
-      'src': 'Main source code directory'
+  mcpTools() {
+    return {
+      search_symbols: {
+        description: 'Search level3 functions, components, hooks, API handlers and types by fuzzy name, type, path prefix or export status',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: { type: 'string', description: 'Fuzzy symbol name' },
+            type: { type: 'string', description: 'component, hook, server-action, api-handler, function, interface, type or enum (comma-separated)' },
+            path: { type: 'string', description: 'File path prefix, e.g. components/' },
+            exported: { type: 'boolean', description: 'Only exported symbols' },
+            limit: { type: 'number', description: 'Maximum results (default 50)' }
+          }
+        },
+        handler: args => this.query({ ...args, name: args.query })
+      },
+      get_module: {
+        description: 'Level2 summary, level3 symbols, resolved dependencies and importers of one file',
+        inputSchema: {
+          type: 'object',
+          properties: { file: { type: 'string', description: 'Project-relative file path' } },
+          required: ['file']
+        },
+        handler: ({ file }) => {
+          const { file: relativePath } = this.parseTarget(file);
+          const edges = this.view.architectural.dependencies.edges || [];
+          return {
+            file: relativePath,
+            ...this.view.level2[relativePath],
+            symbols: Object.values(this.view.level3).filter(entry => entry.file === relativePath),
+            dependencies: edges.filter(edge => edge.from === relativePath).map(({ to, names }) => ({ file: to, names })),
+            importers: edges.filter(edge => edge.to === relativePath).map(({ from, names }) => ({ file: from, names }))
+          };
+        }
+      },
+      list_routes: {
+        description: 'List Pages and App Router routes, optionally filtered by a pattern ("*" one segment, "**" any)',
+        inputSchema: {
+          type: 'object',
+          properties: { pattern: { type: 'string', description: 'Route pattern, e.g. /blog/*' } }
+        },
+        handler: ({ pattern }) => this.query({ route: pattern || '**', limit: 0 }).routes
+      },
+      get_dependents: {
+        description: 'Modules, routes and exports that import a file or symbol, directly or transitively, grouped by depth',
+        inputSchema: {
+          type: 'object',
+          properties: { target: { type: 'string', description: '<file> or <file>:<symbol>' } },
+          required: ['target']
+        },
+        handler: ({ target }) => this.analyzeImpact(target)
+      },
+      expand_symbol: {
+        description: 'Source of a symbol with its leading comments and the imports it uses; also stored in level4',
+        inputSchema: {
+          type: 'object',
+          properties: { target: { type: 'string', description: '<file>:<symbol>' } },
+          required: ['target']
+        },
+        handler: ({ target }) => {
+          const { file, symbol } = this.parseTarget(target);
+          const { model, relativePath, level4 } = this.locateFile(file);
+          const snippet = symbol && model.extractSymbol(relativePath, symbol);
+          if (!snippet) throw new Error(`Symbol not found: ${target}`);
+          level4[`${relativePath}:${symbol}`] = { ...snippet, reason: 'manual' };
+          this.saveIndex();
+          return snippet;
+        }
+      }
     };
-    
-    return purposes[folderName] || 'Source code directory';
   }
 
-  classifyDirectoryType(dirName) {
-    const types = {
-      'pages': 'routing',
-      'app': 'routing',
-      'components': 'ui',
-      'lib': 'utility',
-      'utils': 'utility',
-      'hooks': 'logic',
-      'styles': 'styling',
-      'public': 'static',
-      'api': 'backend'
-    };
-    
-    return types[dirName] || 'source';
+  // Model and level4 section owning a (workspace-relative) file
+  locateFile(file) {
+    if (!this.workspace) return { model: this.model, relativePath: file, level4: this.index.level4 };
+    const { pkg, relativePath } = this.workspace.locate(file);
+    return { model: pkg.model, relativePath, level4: this.index.packages[pkg.name].level4 };
   }
 
-  inferFilePurpose(filePath, analysis) {
-    const basename = path.basename(filePath, path.extname(filePath));
-    
-    // Next.js specific files
-    if (basename === 'layout') return 'Layout component for route group';
-    if (basename === 'page') return 'Page component for route';
-    if (basename === 'loading') return 'Loading UI component';
-    if (basename === 'error') return 'Error boundary component';
-    if (basename === 'not-found') return 'Not found page component';
-    
-    // API routes
-    if (filePath.includes('/api/')) return 'API route handler';
-    
-    // Based on analysis
-    if (analysis.components.length > 0) return `React component (${analysis.components.map(c => c.name).join(', ')})`;
-    if (analysis.hooks.length > 0) return `Custom React hook (${analysis.hooks.map(h => h.name).join(', ')})`;
-    if (analysis.functions.length > 0) return `Utility functions (${analysis.functions.map(f => f.name).join(', ')})`;
-    
-    return 'Source file';
+  serveMcp() {
+    core.serveMcp(this.mcpTools(), MCP_SERVER_INFO);
   }
 
-  classifyFileType(filePath, analysis) {
-    if (filePath.includes('/api/')) return 'api-route';
-    if (filePath.includes('/pages/')) return 'page';
-    if (filePath.includes('/app/')) return 'app-route';
-    if (analysis.components.length > 0) return 'component';
-    if (analysis.hooks.length > 0) return 'hook';
-    if (filePath.includes('/lib/') || filePath.includes('/utils/')) return 'utility';
-    if (filePath.endsWith('.css') || filePath.endsWith('.scss')) return 'styles';
-    return 'source';
+  format(index) {
+    if (!this.workspace) return this.emitter.format(index);
+    let content = '# Codebase Index\n\n';
+    content += `**Generated:** ${index.metadata.generatedAt}\n\n`;
+    content += core.formatManifest(index.workspace);
+    this.workspace.packages.forEach(pkg => {
+      content += `\n${core.formatPackageSection(pkg.emitter.format(index.packages[pkg.name]), pkg)}`;
+    });
+    return content;
   }
 
-  getLastModified(dirPath) {
-    try {
-      const files = this.getFilesRecursively(dirPath);
-      if (files.length === 0) return new Date().toISOString();
-      
-      const mtimes = files.map(file => {
-        try {
-          return fs.statSync(file).mtime;
-        } catch (e) {
-          return new Date(0);
-        }
-      });
-      return new Date(Math.max(...mtimes)).toISOString();
-    } catch (e) {
-      return new Date().toISOString();
-    }
+  outputPath(kind) {
+    return path.resolve(this.projectPath, this.outputs[kind]);
   }
 
   saveIndex() {
-    const outputPath = path.join(this.projectPath, 'codebase-index.json');
-    // Preserve existing level4 if present
-    let previousLevel4 = {};
-    if (fs.existsSync(outputPath)) {
-      try {
-        const prev = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
-        if (prev.level4 && typeof prev.level4 === 'object') {
-          previousLevel4 = prev.level4;
-        }
-      } catch (e) {
-        // Ignore parse errors, treat as no previous level4
-      }
-    }
-    // Merge previous level4 with new, preferring new keys
-    this.index.level4 = { ...previousLevel4, ...this.index.level4 };
+    const outputPath = this.outputPath('json');
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
     fs.writeFileSync(outputPath, JSON.stringify(this.index, null, 2));
     console.log(`💾 Index saved to ${outputPath}`);
-    
-    // Also save a formatted version for LLM consumption
-    const formattedPath = path.join(this.projectPath, 'codebase-index-formatted.md');
-    this.saveFormattedIndex(formattedPath);
-  }
+    this.view = this.index.packages ? core.flattenWorkspaceIndex(this.index) : this.index;
 
-  saveFormattedIndex(outputPath) {
-    let content = '# Codebase Index\n\n';
-    
-    content += `**Generated:** ${this.index.metadata.generatedAt}\n`;
-    content += `**Next.js Version:** ${this.index.metadata.nextjsVersion}\n\n`;
-    
-    content += '## Level 1 - Project Structure\n';
-    Object.entries(this.index.level1).forEach(([dir, info]) => {
-      content += `- **${dir}**: ${info.purpose} (${info.fileCount} files)\n`;
-    });
-    
-    content += '\n## Architectural Patterns\n';
-    Object.entries(this.index.architectural.patterns).forEach(([pattern, enabled]) => {
-      const status = enabled ? '✅' : '❌';
-      content += `- **${pattern}**: ${status}\n`;
-    });
-    
-    if (Object.keys(this.index.architectural.routes).length > 0) {
-      content += '\n## Routes\n';
-      Object.entries(this.index.architectural.routes).forEach(([routerType, routes]) => {
-        content += `\n### ${routerType.toUpperCase()} Router\n`;
-        routes.forEach(route => {
-          content += `- **${route.path}**: ${route.file} (${route.type})\n`;
-        });
-      });
-    }
-    
-    content += '\n## Level 2 - Module Summaries\n';
-    Object.entries(this.index.level2).forEach(([file, info]) => {
-      content += `- **${file}**: ${info.purpose}\n`;
-      if (info.exports.length > 0) {
-        content += `  - Exports: ${info.exports.join(', ')}\n`;
-      }
-      if (info.nextjsFeatures.length > 0) {
-        content += `  - Next.js Features: ${info.nextjsFeatures.join(', ')}\n`;
-      }
-    });
-    
-    content += '\n## Level 3 - Function Signatures\n';
-    Object.entries(this.index.level3).forEach(([key, info]) => {
-      content += `- **${info.name}**: \`${info.signature}\` (${info.type}) ${info.exported ? '[EXPORTED]' : ''}\n`;
-    });
-    
-    fs.writeFileSync(outputPath, content);
-    console.log(`📄 Formatted index saved to ${outputPath}`);
+    // Also save a formatted version for LLM consumption
+    const formattedPath = this.outputPath('markdown');
+    fs.mkdirSync(path.dirname(formattedPath), { recursive: true });
+    fs.writeFileSync(formattedPath, this.format(this.index));
+    console.log(`📄 Formatted index saved to ${formattedPath}`);
   }
 }
 
 // CLI interface
 if (require.main === module) {
-  const projectPath = process.argv[2] || '.';
-  
-  console.log('🎯 Next.js Codebase Index Generator');
-  console.log(`📍 Project: ${path.resolve(projectPath)}\n`);
-  
-  const generator = new NextJSIndexGenerator(projectPath);
-  generator.generate().catch(console.error);
+  // Subcommands that read the saved index
+  const loadGenerator = projectPath => {
+    const generator = new NextJSIndexGenerator(projectPath);
+    generator.loadIndex();
+    return generator;
+  };
+  const readIndex = file => {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read index ${file}: ${error.message}`);
+    }
+  };
+  const reportDiff = (diff, labels, flags) => {
+    process.stdout.write(flags.format === 'json' ? `${JSON.stringify(diff, null, 2)}\n` : core.formatDiff(diff, labels));
+    // Lets CI fail a pull request that changes the public API without saying so
+    if (flags['fail-on-signature-change'] && diff.summary.signatureChanges > 0) process.exitCode = 1;
+  };
+
+  core.runCli({
+    Generator: NextJSIndexGenerator,
+    banner: '🎯 Next.js Codebase Index Generator',
+    valueFlags: ['expand', 'auto-expand', 'type', 'name', 'path', 'route', 'limit', 'format', 'ref'],
+    options: flags => ({
+      expand: [].concat(flags.expand || []),
+      ...(flags['auto-expand'] !== undefined && { autoExpand: Number(flags['auto-expand']) })
+    }),
+    commands: {
+      impact: ({ args: [target, projectPath = '.'], flags }) => {
+        if (!target) throw new Error('Usage: node nextjs_index_generator.js impact <file>[:symbol] [project-path] [--json]');
+        const generator = loadGenerator(projectPath);
+        const impact = generator.analyzeImpact(target);
+        console.log(flags.json ? JSON.stringify(impact, null, 2) : generator.formatImpact(impact));
+      },
+      unused: ({ args: [projectPath = '.'], flags }) => {
+        const unused = loadGenerator(projectPath).unusedCode();
+        console.log(flags.json ? JSON.stringify(unused, null, 2) : core.formatUnused(unused));
+      },
+      query: ({ args: [projectPath = '.'], flags }) => {
+        const generator = loadGenerator(projectPath);
+        const result = generator.query(flags);
+        console.log(flags.format === 'json' ? JSON.stringify(result, null, 2) : generator.formatQuery(result));
+      },
+      diff: ({ args, flags, createGenerator }) => {
+        if (flags.ref) {
+          // stdout carries the report, so progress output moves to stderr
+          console.log = console.error;
+          const generator = createGenerator(args[0] || '.', { workspaces: !flags['no-workspaces'] });
+          return generator.diffRevision(String(flags.ref))
+            .then(diff => reportDiff(diff, { before: flags.ref, after: 'working tree' }, flags));
+        }
+        const [beforeFile, afterFile] = args;
+        if (!beforeFile || !afterFile) {
+          throw new Error('Usage: node nextjs_index_generator.js diff <before.json> <after.json> [--format json|md] [--fail-on-signature-change]\n' +
+            '       node nextjs_index_generator.js diff --ref <git-ref> [project-path] [--format json|md] [--fail-on-signature-change]');
+        }
+        reportDiff(core.diffIndexes(readIndex(beforeFile), readIndex(afterFile)), { before: beforeFile, after: afterFile }, flags);
+      }
+    }
+  });
 }
 
-module.exports = NextJSIndexGenerator;
\ No newline at end of file
+module.exports = NextJSIndexGenerator;
@@ -0,0 +1,221 @@
+/**
+ * Plain JavaScript/TypeScript adapter; framework adapters extend it and override what they know better
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TYPE_KINDS } = require('../analyzer');
+
+// Tool configs, tests, stories, mocks and ambient declarations are loaded without being imported
+const CONVENTION_FILES = [
+  /\.config\.[cm]?[jt]s$/,
+  /\/\.[\w-]+rc\.[cm]?js$/,
+  /\.(test|spec|stories)\.[cm]?[jt]sx?$/,
+  /\/__(tests|mocks)__\//,
+  /\.d\.ts$/
+];
+
+class FrameworkAdapter {
+  constructor(project) {
+    this.project = project;
+  }
+
+  static detect() {
+    return true;
+  }
+
+  get name() {
+    return 'javascript';
+  }
+
+  label() {
+    return 'JavaScript';
+  }
+
+  // Top-level directories worth describing in the structure overview
+  sourceDirectories() {
+    return [
+      'src',
+      'lib', 'src/lib', 'utils', 'src/utils', // Utilities
+      'styles', 'src/styles', // Styles
+      'public' // Static files
+    ];
+  }
+
+  folderPurpose(folderName) {
+    const purposes = {
+      'lib': 'Library functions and utilities',
+      'utils': 'Helper functions and utilities',
+      'styles': 'CSS and styling files',
+      'public': 'Static assets served at root',
+      'src': 'Main source code directory'
+    };
+    return purposes[folderName] || 'Source code directory';
+  }
+
+  folderType(folderName) {
+    const types = {
+      'lib': 'utility',
+      'utils': 'utility',
+      'styles': 'styling',
+      'public': 'static'
+    };
+    return types[folderName] || 'source';
+  }
+
+  // Extra Babel visitor run alongside the core one; may push to model.features and fill model.config
+  createVisitor() {
+    return null;
+  }
+
+  // context: { exported, async, directives (function body), moduleDirectives, jsx, class, superClass }
+  classifySymbol(name, relativePath, context = {}) {
+    return context.class ? 'class' : 'function';
+  }
+
+  classifyFile(relativePath) {
+    const normalized = toPosix(relativePath);
+    if (normalized.includes('/lib/') || normalized.includes('/utils/')) return 'utility';
+    if (/\.s?css$/.test(normalized)) return 'styles';
+    return 'source';
+  }
+
+  filePurpose(relativePath, model) {
+    const functions = model.symbols.filter(symbol => symbol.kind === 'function');
+    const types = model.symbols.filter(symbol => TYPE_KINDS.includes(symbol.kind));
+    if (functions.length > 0) return `Utility functions (${functions.map(f => f.name).join(', ')})`;
+    const classes = model.symbols.filter(symbol => symbol.kind === 'class');
+    if (classes.length > 0) return `Classes (${classes.map(c => c.name).join(', ')})`;
+    if (types.length > 0) return `Type definitions (${types.map(t => t.name).join(', ')})`;
+    if (model.reexports.length > 0) return `Barrel re-exporting ${model.reexports.length} modules`;
+    return 'Source file';
+  }
+
+  isEntryPoint() {
+    return false;
+  }
+
+  // Files the framework or tooling loads by convention; unused-code detection starts from them
+  isConventionFile(relativePath) {
+    return this.isEntryPoint(relativePath) || CONVENTION_FILES.some(pattern => pattern.test(toPosix(relativePath)));
+  }
+
+  // Routes grouped by router name: { [router]: [{ path, file, type, ... }] }
+  analyzeRoutes(model) {
+    return {};
+  }
+
+  // Framework configuration read statically, e.g. { middleware, nextConfig }, or null
+  analyzeConfig(model) {
+    return null;
+  }
+
+  // Client/server placement of modules: { modules: { [file]: boundary }, warnings: [...] }, or null
+  analyzeBoundaries(model) {
+    return null;
+  }
+
+  detectRouter() {
+    return 'unknown';
+  }
+
+  // Boolean feature flags for the hierarchical index
+  detectPatterns() {
+    const project = this.project;
+    return {
+      'src-directory': project.exists('src'),
+      'typescript': this.detectTypeScript(),
+      'tailwind': this.detectTailwind(),
+      'styled-components': project.hasPackage('styled-components'),
+      'emotion': project.hasPackage('@emotion/react') || project.hasPackage('@emotion/styled'),
+      'mui': project.hasPackage('@mui/material') || project.hasPackage('@material-ui/core'),
+      'prisma': project.hasPackage('prisma') || project.hasPackage('@prisma/client'),
+      'trpc': project.hasPackage('@trpc/server') || project.hasPackage('@trpc/client')
+    };
+  }
+
+  // One-word stack choices for the compact index
+  summarizeStack() {
+    const project = this.project;
+    return {
+      router: this.detectRouter(),
+      typescript: this.detectTypeScript(),
+      tailwind: this.detectTailwind(),
+      testing: project.hasPackage('jest') || project.hasPackage('vitest') || project.hasPackage('@testing-library/react'),
+      stateManagement: this.detectStateManagement(),
+      styling: this.detectStyling(),
+      dataFetching: this.detectDataFetching()
+    };
+  }
+
+  detectTypeScript() {
+    return this.project.exists('tsconfig.json') ||
+           this.project.exists('next-env.d.ts') ||
+           this.project.hasPackage('typescript') ||
+           this.project.hasPackage('@types/node');
+  }
+
+  detectTailwind() {
+    // Check for config files
+    const configFiles = [
+      'tailwind.config.js',
+      'tailwind.config.ts',
+      'tailwind.config.mjs',
+      'tailwind.config.cjs'
+    ];
+    if (configFiles.some(file => this.project.exists(file))) return true;
+
+    // Check package.json
+    if (this.project.hasPackage('tailwindcss')) return true;
+
+    // Check for @tailwind directives in CSS files
+    const cssFiles = this.project.getFiles().filter(file =>
+      ['.css', '.scss', '.sass'].includes(path.extname(file))
+    );
+    for (const cssFile of cssFiles) {
+      try {
+        const content = fs.readFileSync(cssFile, 'utf8');
+        if (content.includes('@tailwind') || content.includes('tailwindcss')) {
+          return true;
+        }
+      } catch (e) {
+        // Skip files that can't be read
+      }
+    }
+    return false;
+  }
+
+  detectStateManagement() {
+    const project = this.project;
+    if (project.hasPackage('zustand')) return 'zustand';
+    if (project.hasPackage('@reduxjs/toolkit')) return 'redux-toolkit';
+    if (project.hasPackage('redux')) return 'redux';
+    if (project.hasPackage('jotai')) return 'jotai';
+    return 'none';
+  }
+
+  detectStyling() {
+    const project = this.project;
+    if (this.detectTailwind()) return 'tailwind';
+    if (project.hasPackage('styled-components')) return 'styled-components';
+    if (project.hasPackage('@emotion/react')) return 'emotion';
+    if (project.hasPackage('@mui/material')) return 'mui';
+    return 'css';
+  }
+
+  detectDataFetching() {
+    const project = this.project;
+    if (project.hasPackage('@tanstack/react-query')) return 'tanstack-query';
+    if (project.hasPackage('react-query')) return 'react-query';
+    if (project.hasPackage('swr')) return 'swr';
+    if (project.hasPackage('@apollo/client') || project.hasPackage('apollo-client')) return 'apollo';
+    return 'fetch';
+  }
+}
+
+// Forward slashes with a leading '/', so '/app/' style checks also match top-level directories
+function toPosix(relativePath) {
+  return `/${relativePath.split(path.sep).join('/')}`;
+}
+
+module.exports = { FrameworkAdapter, toPosix };
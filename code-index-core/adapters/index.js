@@ -0,0 +1,24 @@
+/**
+ * Framework adapter registry; the most specific adapter whose detect() matches wins
+ */
+
+const { FrameworkAdapter } = require('./base');
+const { ReactAdapter } = require('./react');
+const { NextjsAdapter } = require('./nextjs');
+
+const ADAPTERS = [NextjsAdapter, ReactAdapter, FrameworkAdapter];
+
+function createAdapter(project, name = null) {
+  if (name) {
+    const Adapter = ADAPTERS.find(candidate => candidate.prototype.name === name);
+    if (!Adapter) {
+      const known = ADAPTERS.map(candidate => candidate.prototype.name).join(', ');
+      throw new Error(`Unknown framework "${name}" (expected one of: ${known})`);
+    }
+    return new Adapter(project);
+  }
+  const Adapter = ADAPTERS.find(candidate => candidate.detect(project));
+  return new Adapter(project);
+}
+
+module.exports = { createAdapter, FrameworkAdapter, ReactAdapter, NextjsAdapter };
@@ -0,0 +1,188 @@
+/**
+ * Static reading of next.config.* and middleware matchers, plus path-to-regexp style matching
+ * used to cross-reference them with routes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseSource } = require('../babel');
+const { staticValue, propertyKey, dynamicValue, isDynamicValue } = require('../static-value');
+
+const CONFIG_FILES = ['next.config.js', 'next.config.mjs', 'next.config.cjs', 'next.config.ts', 'next.config.mts'];
+const CONFIG_KEYS = ['basePath', 'i18n', 'images', 'experimental', 'redirects', 'rewrites', 'headers'];
+// Async functions in next.config whose resolved value is the setting
+const CONFIG_FUNCTIONS = ['redirects', 'rewrites', 'headers'];
+
+// Settings from the project's next.config, or null when there is none
+function loadNextConfig(project) {
+  const file = CONFIG_FILES.find(name => project.exists(name));
+  if (!file) return null;
+
+  const filePath = path.join(project.root, file);
+  let code, ast;
+  try {
+    code = fs.readFileSync(filePath, 'utf8');
+    ast = parseSource(filePath, code);
+  } catch (error) {
+    console.warn(`⚠️  Could not parse ${file}: ${error.message}`);
+    return { file };
+  }
+
+  // Top-level constants, so `const nextConfig = {...}; export default nextConfig` is followed
+  const bindings = {};
+  ast.program.body.forEach(statement => {
+    const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+    if (declaration?.type !== 'VariableDeclaration') return;
+    declaration.declarations.forEach(decl => {
+      if (decl.id.type === 'Identifier' && decl.init) bindings[decl.id.name] = decl.init;
+    });
+  });
+  const resolve = node => bindings[node.name] || null;
+
+  const exported = findConfigExport(ast);
+  const object = unwrapConfig(exported, resolve);
+  if (!object) return { file, ...(exported && { config: dynamicValue(exported, code) }) };
+
+  const settings = { file };
+  object.properties.forEach(property => {
+    const key = propertyKey(property);
+    if (key === null) {
+      settings['...'] = dynamicValue(property, code);
+      return;
+    }
+    if (!CONFIG_KEYS.includes(key)) return;
+
+    if (CONFIG_FUNCTIONS.includes(key)) {
+      const fn = property.type === 'ObjectMethod' ? property : unwrapFunction(property.value, resolve);
+      const returned = fn ? returnedValue(fn) : null;
+      settings[key] = returned ? staticValue(returned, code, resolve) : dynamicValue(property, code);
+    } else if (key === 'images') {
+      const images = staticValue(property.value, code, resolve);
+      // Only remote patterns matter for code; loaders and sizes are build tuning
+      if (isDynamicValue(images)) settings.images = images;
+      else if (images?.remotePatterns) settings.images = { remotePatterns: images.remotePatterns };
+    } else {
+      settings[key] = property.type === 'ObjectProperty' ? staticValue(property.value, code, resolve) : dynamicValue(property, code);
+    }
+  });
+  return settings;
+}
+
+// export default ... or module.exports = ...
+function findConfigExport(ast) {
+  for (const statement of ast.program.body) {
+    if (statement.type === 'ExportDefaultDeclaration') return statement.declaration;
+    const expression = statement.type === 'ExpressionStatement' ? statement.expression : null;
+    if (expression?.type === 'AssignmentExpression' &&
+        expression.left.type === 'MemberExpression' &&
+        expression.left.object.name === 'module' && expression.left.property.name === 'exports') {
+      return expression.right;
+    }
+  }
+  return null;
+}
+
+// Follows identifiers, plugin wrappers like withBundleAnalyzer(config) and phase functions to the config object
+function unwrapConfig(node, resolve, depth = 0) {
+  if (!node || depth > 10) return null;
+  switch (node.type) {
+    case 'ObjectExpression':
+      return node;
+    case 'Identifier':
+      return unwrapConfig(resolve(node), resolve, depth + 1);
+    case 'CallExpression':
+      return unwrapConfig(node.arguments[0], resolve, depth + 1);
+    case 'TSAsExpression':
+    case 'TSSatisfiesExpression':
+    case 'ParenthesizedExpression':
+      return unwrapConfig(node.expression, resolve, depth + 1);
+    case 'ArrowFunctionExpression':
+    case 'FunctionExpression':
+    case 'FunctionDeclaration':
+      return unwrapConfig(returnedValue(node), resolve, depth + 1);
+    default:
+      return null;
+  }
+}
+
+function unwrapFunction(node, resolve, depth = 0) {
+  if (depth > 10) return null;
+  if (node?.type === 'Identifier') return unwrapFunction(resolve(node), resolve, depth + 1);
+  return ['ArrowFunctionExpression', 'FunctionExpression'].includes(node?.type) ? node : null;
+}
+
+// Value of the last top-level return, or the body of an expression arrow function
+function returnedValue(fn) {
+  if (fn.body.type !== 'BlockStatement') return fn.body;
+  const returns = fn.body.body.filter(statement => statement.type === 'ReturnStatement');
+  return returns.length > 0 ? returns[returns.length - 1].argument : null;
+}
+
+// Normalizes a middleware config.matcher into [{ source, conditional? }], or keeps a dynamic marker
+function normalizeMatchers(matcher) {
+  if (matcher === undefined) return null;
+  if (isDynamicValue(matcher)) return matcher;
+  return [].concat(matcher).map(entry => {
+    if (typeof entry === 'string' || isDynamicValue(entry)) return { source: entry };
+    // Object matchers with has/missing only run when the request matches those conditions too
+    return { source: entry?.source, ...((entry?.has || entry?.missing) && { conditional: true }) };
+  });
+}
+
+// Compiles a path-to-regexp pattern ('/blog/:slug*', '/((?!api).*)') into a RegExp, or null if invalid
+function compileMatcher(pattern) {
+  if (typeof pattern !== 'string') return null;
+  let source = '';
+  let i = 0;
+  while (i < pattern.length) {
+    const char = pattern[i];
+    if (char === '/' && pattern[i + 1] === ':') {
+      const name = pattern.slice(i + 2).match(/^\w+/);
+      if (!name) return null;
+      i += 2 + name[0].length;
+      let segment = '[^/]+';
+      if (pattern[i] === '(') {
+        const group = readGroup(pattern, i);
+        if (!group) return null;
+        segment = group.slice(1, -1);
+        i += group.length;
+      }
+      const modifier = '*+?'.includes(pattern[i]) ? pattern[i++] : '';
+      if (modifier === '') source += `/(?:${segment})`;
+      else if (modifier === '?') source += `(?:/(?:${segment}))?`;
+      else source += `(?:/(?:${segment})(?:/(?:${segment}))*)${modifier === '*' ? '?' : ''}`;
+    } else if (char === '(') {
+      // Unnamed groups are plain regular expressions
+      const group = readGroup(pattern, i);
+      if (!group) return null;
+      source += group;
+      i += group.length;
+    } else {
+      source += char.replace(/[.+*?^${}|[\]\\/]/g, '\\$&');
+      i++;
+    }
+  }
+  try {
+    return new RegExp(`^${source}/?$`);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Balanced '(...)' starting at index start
+function readGroup(pattern, start) {
+  let depth = 0;
+  for (let i = start; i < pattern.length; i++) {
+    if (pattern[i] === '\\') i++;
+    else if (pattern[i] === '(') depth++;
+    else if (pattern[i] === ')' && --depth === 0) return pattern.slice(start, i + 1);
+  }
+  return null;
+}
+
+// A concrete URL for a route or destination pattern, for testing it against other patterns
+function samplePath(pattern) {
+  return pattern.split(/[?#]/)[0].replace(/:\w+(\([^)]*\))?[*+?]?/g, 'sample');
+}
+
+module.exports = { loadNextConfig, normalizeMatchers, compileMatcher, samplePath };
@@ -0,0 +1,516 @@
+/**
+ * Next.js adapter: Pages and App Router routing, API handlers and data fetching
+ */
+
+const path = require('path');
+const { builtinModules } = require('module');
+const { ReactAdapter } = require('./react');
+const { toPosix } = require('./base');
+const { isSourceFile } = require('../project');
+const { staticValue, isDynamicValue } = require('../static-value');
+const { loadNextConfig, normalizeMatchers, compileMatcher, samplePath } = require('./nextjs-config');
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS'];
+// Files that define or decorate an App Router segment
+const APP_ROUTE_FILES = ['page', 'route', 'layout', 'template', 'loading', 'error', 'not-found', 'default'];
+// The ones that answer a URL themselves
+const APP_ENDPOINT_FILES = ['page', 'route'];
+const SEGMENT_CHAIN_FILES = ['layout', 'template', 'loading', 'error'];
+const INTERCEPT_PATTERN = /^(\(\.\.\.\)|(?:\(\.\.\))+|\(\.\))(.+)$/;
+// Exports that tell how a route renders: Pages Router data fetching, App Router static params and metadata
+const RENDERING_EXPORTS = [
+  'getServerSideProps', 'getStaticProps', 'getStaticPaths',
+  'generateStaticParams', 'metadata', 'generateMetadata'
+];
+// App Router route segment config, read statically like Next.js does at build time
+const SEGMENT_CONFIG_EXPORTS = ['dynamic', 'revalidate', 'runtime', 'fetchCache', 'preferredRegion', 'dynamicParams'];
+// Imports that break a client bundle, and the client-only APIs a server component cannot use
+const SERVER_ONLY_IMPORTS = ['server-only', 'next/headers'];
+const CLIENT_ONLY_IMPORTS = {
+  'client-only': null, // Any import
+  'react': [
+    'useState', 'useEffect', 'useLayoutEffect', 'useInsertionEffect', 'useReducer', 'useRef', 'useContext',
+    'useTransition', 'useDeferredValue', 'useSyncExternalStore', 'useImperativeHandle', 'useOptimistic', 'useActionState'
+  ],
+  'next/navigation': [
+    'useRouter', 'usePathname', 'useSearchParams', 'useParams', 'useSelectedLayoutSegment', 'useSelectedLayoutSegments'
+  ]
+};
+
+class NextjsAdapter extends ReactAdapter {
+  static detect(project) {
+    return project.hasPackage('next');
+  }
+
+  get name() {
+    return 'nextjs';
+  }
+
+  label() {
+    return `Next.js ${this.project.packageVersion('next')}`;
+  }
+
+  sourceDirectories() {
+    return [
+      'pages', 'app', 'src/pages', 'src/app', // Next.js routing
+      ...super.sourceDirectories(),
+      'api', 'src/api', 'pages/api', 'src/pages/api', 'app/api', 'src/app/api' // API routes
+    ];
+  }
+
+  folderPurpose(folderName) {
+    const purposes = {
+      'pages': 'Next.js Pages Router - file-based routing',
+      'app': 'Next.js App Router - modern routing with layouts',
+      'api': 'API route handlers'
+    };
+    return purposes[folderName] || super.folderPurpose(folderName);
+  }
+
+  folderType(folderName) {
+    const types = {
+      'pages': 'routing',
+      'app': 'routing',
+      'api': 'backend'
+    };
+    return types[folderName] || super.folderType(folderName);
+  }
+
+  createVisitor(model, relativePath, code) {
+    const addFeature = name => {
+      // Exported rendering functions and metadata mark the route's rendering strategy
+      if (RENDERING_EXPORTS.includes(name)) model.features.push(name);
+    };
+    const middleware = isMiddlewareFile(relativePath);
+    const addConfig = (name, node) => {
+      if (middleware && name === 'config') {
+        // Middleware keeps matcher (and runtime) in one exported config object
+        const value = staticValue(node, code);
+        Object.assign(model.config, isDynamicValue(value) ? { matcher: value } : value);
+      } else if (!middleware && SEGMENT_CONFIG_EXPORTS.includes(name)) {
+        model.config[name] = staticValue(node, code);
+      }
+    };
+
+    return {
+      ExportDefaultDeclaration(path) {
+        // Detect Next.js data fetching as default export (rare, but possible)
+        const declaration = path.node.declaration;
+        addFeature(declaration?.name || declaration?.id?.name);
+      },
+
+      ExportNamedDeclaration(path) {
+        const declaration = path.node.declaration;
+        if (declaration?.type === 'FunctionDeclaration') addFeature(declaration.id?.name);
+        if (declaration?.type === 'VariableDeclaration') {
+          declaration.declarations.forEach(decl => {
+            addFeature(decl.id.name);
+            addConfig(decl.id.name, decl.init);
+          });
+        }
+        path.node.specifiers.forEach(spec => {
+          const name = spec.exported.name;
+          addFeature(name);
+          // export { revalidate } can point at a local constant; re-exports are not statically known
+          const binding = path.node.source || !spec.local ? null : path.scope.getBinding(spec.local.name);
+          addConfig(name, binding?.path.isVariableDeclarator() ? binding.path.node.init : spec);
+        });
+      }
+    };
+  }
+
+  classifySymbol(name, relativePath, context) {
+    if (this.isApiFile(relativePath) && [...HTTP_METHODS, 'default'].includes(name)) return 'api-handler';
+    return super.classifySymbol(name, relativePath, context);
+  }
+
+  isApiFile(relativePath) {
+    const normalized = toPosix(relativePath);
+    return normalized.includes('/api/') || /\/app\/(.*\/)?route\.[jt]sx?$/.test(normalized);
+  }
+
+  classifyFile(relativePath, model) {
+    const normalized = toPosix(relativePath);
+    const basename = path.basename(relativePath, path.extname(relativePath));
+    if (this.isApiFile(relativePath)) return 'api-route';
+    if (normalized.includes('/pages/')) return 'page';
+    if (normalized.includes('/app/')) {
+      if (basename === 'page') return 'page';
+      if (basename === 'layout') return 'layout';
+      return 'app-route';
+    }
+    if (isMiddlewareFile(relativePath)) return 'middleware';
+    return super.classifyFile(relativePath, model);
+  }
+
+  filePurpose(relativePath, model) {
+    const basename = path.basename(relativePath, path.extname(relativePath));
+
+    // Next.js specific files
+    if (basename === 'layout') return 'Layout component for route group';
+    if (basename === 'page') return 'Page component for route';
+    if (basename === 'loading') return 'Loading UI component';
+    if (basename === 'error') return 'Error boundary component';
+    if (basename === 'not-found') return 'Not found page component';
+
+    // API routes
+    if (this.isApiFile(relativePath)) return 'API route handler';
+
+    return super.filePurpose(relativePath, model);
+  }
+
+  // Only the routing directories at the project root (or under src/), not any folder named pages or app
+  isEntryPoint(relativePath) {
+    const normalized = toPosix(relativePath);
+    if (/^\/(src\/)?pages\//.test(normalized)) return true;
+    return /^\/(src\/)?app\/(.*\/)?(page|layout|route|template|loading|error|not-found)\.[jt]sx?$/.test(normalized) ||
+           isMiddlewareFile(relativePath);
+  }
+
+  // Route files beyond pages and handlers, metadata files and instrumentation
+  isConventionFile(relativePath) {
+    const normalized = toPosix(relativePath);
+    return super.isConventionFile(relativePath) ||
+      /^\/(src\/)?app\/(.*\/)?(default|global-error|forbidden|unauthorized|sitemap|robots|manifest|icon|apple-icon|opengraph-image|twitter-image)\.[jt]sx?$/.test(normalized) ||
+      /^\/(src\/)?(instrumentation|instrumentation-client|mdx-components)\.[jt]sx?$/.test(normalized);
+  }
+
+  analyzeRoutes(model) {
+    const routes = {};
+
+    // Pages router
+    const pagesDir = ['pages', 'src/pages'].find(dir => this.project.exists(dir));
+    if (pagesDir) routes.pages = this.extractRoutes(pagesDir, 'pages', model);
+
+    // App router
+    const appDir = ['app', 'src/app'].find(dir => this.project.exists(dir));
+    if (appDir) routes.app = this.extractRoutes(appDir, 'app', model);
+
+    const config = model.frameworkConfig();
+    if (config) Object.values(routes).forEach(entries => this.annotateRoutes(entries, config));
+
+    return routes;
+  }
+
+  // Middleware matchers and next.config settings: { middleware, nextConfig }, or null when neither exists
+  analyzeConfig(model) {
+    const middlewareFile = Object.keys(model?.files || {}).find(file => isMiddlewareFile(file));
+    const nextConfig = loadNextConfig(this.project);
+    if (!middlewareFile && !nextConfig) return null;
+
+    const config = {};
+    if (middlewareFile) {
+      const { matcher, ...rest } = model.files[middlewareFile].config;
+      // Without a matcher, middleware runs on every request
+      config.middleware = { file: middlewareFile, matcher: normalizeMatchers(matcher), ...rest };
+    }
+    if (nextConfig) config.nextConfig = nextConfig;
+    return config;
+  }
+
+  // Marks routes that middleware runs on, that redirects shadow, and that rewrites serve from another URL
+  annotateRoutes(routes, { middleware, nextConfig }) {
+    const redirects = asRules(nextConfig?.redirects);
+    const rewrites = asRules(nextConfig?.rewrites);
+
+    routes.forEach(route => {
+      const url = samplePath(route.path);
+
+      if (middleware) {
+        const runs = matchMiddleware(middleware.matcher, url);
+        if (runs) route.middleware = runs;
+      }
+
+      const redirectedBy = redirects.filter(rule => compileMatcher(rule.source)?.test(url)).map(rule => rule.source);
+      if (redirectedBy.length > 0) route.redirectedBy = redirectedBy;
+
+      const routePattern = compileMatcher(route.path);
+      const rewrittenFrom = rewrites
+        .filter(rule => typeof rule.destination === 'string' && rule.destination.startsWith('/') &&
+          routePattern?.test(samplePath(rule.destination)))
+        .map(rule => rule.source);
+      if (rewrittenFrom.length > 0) route.rewrittenFrom = rewrittenFrom;
+    });
+  }
+
+  extractRoutes(relativeDir, routerType, model) {
+    const dir = path.join(this.project.root, relativeDir);
+    const files = this.project.getSourceFiles(dir).map(file => path.relative(dir, file).split(path.sep).join('/'));
+    const conventions = routerType === 'app' ? this.indexConventionFiles(files) : null;
+    const routes = [];
+
+    files.forEach(filePath => {
+      const route = this.filePathToRoute(filePath, routerType);
+      if (!route) return;
+
+      const type = this.getRouteType(filePath, routerType);
+      // Layouts, templates and other segment files wrap routes through `chain` instead of being routes
+      if (routerType === 'app' && !APP_ENDPOINT_FILES.includes(type)) return;
+
+      const file = path.join(relativeDir, filePath);
+      const entry = { path: route.path, file, type };
+      if (route.params.length > 0) entry.params = route.params;
+      if (route.slot) entry.slot = route.slot;
+      if (route.intercepts) entry.intercepts = route.intercepts;
+      if (entry.type === 'route') entry.methods = this.getRouteMethods(model?.files[file]);
+      if (entry.type === 'page' && conventions) {
+        entry.chain = this.getSegmentChain(filePath, conventions, relativeDir);
+      }
+      Object.assign(entry, this.getRenderingInfo([file], model));
+      const inherited = this.getRenderingInfo(entry.chain?.layout || [], model);
+      if (Object.keys(inherited).length > 0) entry.inherited = inherited;
+      routes.push(entry);
+    });
+
+    return routes.sort((a, b) => a.path.localeCompare(b.path) || a.file.localeCompare(b.file));
+  }
+
+  // Converts a router-relative file path ('blog/[slug]/page.tsx') to { path, params, slot, intercepts }
+  filePathToRoute(filePath, routerType) {
+    const segments = filePath.replace(/\.(js|jsx|ts|tsx)$/, '').split('/');
+    const basename = segments.pop();
+
+    if (routerType === 'pages') {
+      // Skip special Next.js files (_app, _document, _error)
+      if (segments.some(segment => segment.startsWith('_')) || basename.startsWith('_')) return null;
+      if (basename !== 'index') segments.push(basename);
+    } else if (!APP_ROUTE_FILES.includes(basename)) {
+      return null;
+    } else if (segments.some(segment => segment.startsWith('_'))) {
+      return null; // Private folders (_components) are opted out of routing
+    }
+
+    const url = [];
+    const params = [];
+    let slot = null;
+    let intercepts = null;
+
+    segments.forEach(segment => {
+      // Route groups only organize files; they never reach the URL
+      if (/^\([^)]*\)$/.test(segment)) return;
+
+      // Parallel route slots render alongside their parent segment
+      if (segment.startsWith('@')) {
+        slot = segment.slice(1);
+        return;
+      }
+
+      // Intercepting routes resolve relative to route segments, not folders
+      const intercept = segment.match(INTERCEPT_PATTERN);
+      if (intercept) {
+        const [, marker, rest] = intercept;
+        // (.) same level, (..) one segment up per marker, (...) the app root
+        if (marker === '(...)') url.length = 0;
+        else if (marker !== '(.)') url.length = Math.max(0, url.length - marker.length / 4);
+        intercepts = marker;
+        segment = rest;
+      }
+
+      const dynamic = segment.match(/^\[(\[)?(\.\.\.)?([^\]]+)\]?\]$/);
+      if (!dynamic) {
+        url.push(segment);
+        return;
+      }
+      const [, optional, catchAll, name] = dynamic;
+      params.push({ name, ...(catchAll && { catchAll: true }), ...(optional && { optional: true }) });
+      // Same notation as middleware matchers: :slug+ is one or more segments, :slug* zero or more
+      url.push(`:${name}${catchAll ? (optional ? '*' : '+') : ''}`);
+    });
+
+    return { path: `/${url.join('/')}`, params, slot, intercepts };
+  }
+
+  getRouteType(filePath, routerType) {
+    const basename = path.basename(filePath, path.extname(filePath));
+    if (routerType === 'app') return basename;
+    if (filePath.startsWith('api/')) return 'api';
+    return 'page';
+  }
+
+  getRouteMethods(fileModel) {
+    if (!fileModel) return [];
+    const exported = [
+      ...fileModel.exports,
+      ...fileModel.symbols.filter(symbol => symbol.exported).map(symbol => symbol.name)
+    ];
+    return HTTP_METHODS.filter(method => exported.includes(method));
+  }
+
+  // Segment config and rendering exports of the given files; outermost layout first, so inner segments win
+  getRenderingInfo(files, model) {
+    const config = {};
+    const features = new Set();
+    files.forEach(file => {
+      const fileModel = model?.files[file];
+      if (!fileModel) return;
+      Object.assign(config, fileModel.config);
+      fileModel.features.forEach(feature => features.add(feature));
+    });
+
+    const info = {};
+    if (Object.keys(config).length > 0) info.config = config;
+    if (features.size > 0) info.features = RENDERING_EXPORTS.filter(name => features.has(name));
+    return info;
+  }
+
+  // Maps each app directory to the segment convention files it contains
+  indexConventionFiles(files) {
+    const conventions = {};
+    files.forEach(filePath => {
+      const basename = path.posix.basename(filePath, path.posix.extname(filePath));
+      if (!SEGMENT_CHAIN_FILES.includes(basename)) return;
+      const dir = path.posix.dirname(filePath);
+      (conventions[dir] = conventions[dir] || {})[basename] = filePath;
+    });
+    return conventions;
+  }
+
+  // Enclosing layout, template, loading and error files, outermost first
+  getSegmentChain(filePath, conventions, relativeDir) {
+    const chain = {};
+    const segments = path.posix.dirname(filePath).split('/').filter(segment => segment !== '.');
+    for (let depth = 0; depth <= segments.length; depth++) {
+      const dir = segments.slice(0, depth).join('/') || '.';
+      Object.entries(conventions[dir] || {}).forEach(([kind, file]) => {
+        (chain[kind] = chain[kind] || []).push(path.join(relativeDir, file));
+      });
+    }
+    return chain;
+  }
+
+  // Classifies App Router modules as 'client', 'server', 'shared' (bundled on both sides) or 'server-actions'
+  analyzeBoundaries(model) {
+    const appDir = ['app', 'src/app'].find(dir => this.project.exists(dir));
+    if (!appDir) return null;
+
+    const directive = file => {
+      const directives = model.files[file].directives;
+      if (directives.includes('use client')) return 'client';
+      if (directives.includes('use server')) return 'server-actions';
+      return null;
+    };
+    const imports = {};
+    model.dependencies.edges.forEach(edge => {
+      if (model.files[edge.to]) (imports[edge.from] = imports[edge.from] || []).push(edge.to);
+    });
+
+    // Route segment files are server components unless they opt into the client
+    const roots = Object.keys(model.files).filter(file => {
+      const relative = path.relative(appDir, file).split(path.sep).join('/');
+      return !relative.startsWith('..') && this.filePathToRoute(relative, 'app') && directive(file) !== 'client';
+    });
+    const server = this.reachModules(roots, imports, file => directive(file) === 'client');
+
+    // Everything a 'use client' module imports joins the client bundle; server actions stay behind as references
+    const clientEntries = Object.keys(model.files).filter(file => directive(file) === 'client');
+    const client = this.reachModules(clientEntries, imports, file => directive(file) === 'server-actions');
+
+    const modules = {};
+    Object.keys(model.files).sort().forEach(file => {
+      const boundary = directive(file) ||
+        (client.has(file) && server.has(file) ? 'shared' : client.has(file) ? 'client' : server.has(file) ? 'server' : null);
+      if (boundary) modules[file] = boundary;
+    });
+
+    const warnings = [];
+    client.forEach((via, file) => {
+      model.files[file].imports.forEach(({ source }) => {
+        const reason = SERVER_ONLY_IMPORTS.includes(source) ? 'server-only' : isNodeBuiltin(source) ? 'node-builtin' : null;
+        if (reason) warnings.push({ file, import: source, reason, ...(via !== file && { via }) });
+      });
+    });
+    server.forEach((via, file) => {
+      if (directive(file)) return;
+      model.files[file].imports.forEach(({ source, names }) => {
+        if (!(source in CLIENT_ONLY_IMPORTS)) return;
+        const clientOnly = CLIENT_ONLY_IMPORTS[source];
+        const used = clientOnly ? names.filter(name => clientOnly.includes(name)) : names;
+        if (!clientOnly || used.length > 0) {
+          warnings.push({ file, import: source, names: used, reason: 'client-only', ...(via !== file && { via }) });
+        }
+      });
+    });
+    warnings.sort((a, b) => a.file.localeCompare(b.file) || a.import.localeCompare(b.import));
+
+    return { modules, warnings };
+  }
+
+  // Breadth-first walk of the import graph; maps each reached file to the start file that pulled it in
+  reachModules(starts, imports, isBoundary) {
+    const reached = new Map(starts.map(file => [file, file]));
+    const queue = [...starts];
+    while (queue.length > 0) {
+      const file = queue.shift();
+      (imports[file] || []).forEach(target => {
+        if (reached.has(target) || isBoundary(target)) return;
+        reached.set(target, reached.get(file));
+        queue.push(target);
+      });
+    }
+    return reached;
+  }
+
+  detectRouter() {
+    if (this.detectAppRouter()) return 'app';
+    if (this.detectPagesRouter()) return 'pages';
+    return 'unknown';
+  }
+
+  detectPatterns() {
+    const project = this.project;
+    return {
+      'pages-router': this.detectPagesRouter(),
+      'app-router': this.detectAppRouter(),
+      ...super.detectPatterns(),
+      'next-auth': project.hasPackage('next-auth') || project.hasPackage('@auth/nextjs')
+    };
+  }
+
+  detectPagesRouter() {
+    // Check if it has actual page files (not just _app.js, _document.js)
+    return ['pages', 'src/pages'].some(dir =>
+      this.project.getFiles(path.join(this.project.root, dir)).some(file =>
+        isSourceFile(file) && !path.basename(file).startsWith('_')));
+  }
+
+  detectAppRouter() {
+    // Check for app router specific files
+    const conventions = ['page', 'layout', 'loading', 'error', 'not-found', 'template'];
+    return ['app', 'src/app'].some(dir =>
+      this.project.getFiles(path.join(this.project.root, dir)).some(file =>
+        isSourceFile(file) && conventions.includes(path.basename(file, path.extname(file)))));
+  }
+}
+
+function isMiddlewareFile(relativePath) {
+  return /^\/(src\/)?middleware\.[jt]s$/.test(toPosix(relativePath));
+}
+
+// true when a matcher covers the URL, 'conditional' when only has/missing matchers do, 'unknown' when not static
+function matchMiddleware(matchers, url) {
+  if (matchers === null) return true;
+  if (isDynamicValue(matchers)) return 'unknown';
+  let result = null;
+  for (const matcher of matchers) {
+    const pattern = compileMatcher(matcher.source);
+    if (!pattern) result = result || 'unknown';
+    else if (pattern.test(url)) {
+      if (!matcher.conditional) return true;
+      result = 'conditional';
+    }
+  }
+  return result;
+}
+
+// Redirect and rewrite rules as a flat list; rewrites may be split into beforeFiles, afterFiles and fallback
+function asRules(value) {
+  if (!value || isDynamicValue(value)) return [];
+  const rules = Array.isArray(value) ? value : [value.beforeFiles, value.afterFiles, value.fallback].flat();
+  return rules.filter(rule => rule && typeof rule.source === 'string');
+}
+
+function isNodeBuiltin(source) {
+  return source.startsWith('node:') || builtinModules.includes(source.split('/')[0]);
+}
+
+module.exports = { NextjsAdapter };
@@ -0,0 +1,97 @@
+/**
+ * React adapter: components and hooks
+ */
+
+const { FrameworkAdapter, toPosix } = require('./base');
+
+const REACT_BASE_CLASSES = ['Component', 'PureComponent'];
+
+class ReactAdapter extends FrameworkAdapter {
+  static detect(project) {
+    return project.hasPackage('react');
+  }
+
+  get name() {
+    return 'react';
+  }
+
+  label() {
+    return `React ${this.project.packageVersion('react')}`;
+  }
+
+  sourceDirectories() {
+    return [
+      'components', 'src/components', // Components
+      'hooks', 'src/hooks', // Custom hooks
+      ...super.sourceDirectories()
+    ];
+  }
+
+  folderPurpose(folderName) {
+    const purposes = {
+      'components': 'Reusable React components',
+      'hooks': 'Custom React hooks'
+    };
+    return purposes[folderName] || super.folderPurpose(folderName);
+  }
+
+  folderType(folderName) {
+    const types = {
+      'components': 'ui',
+      'hooks': 'logic'
+    };
+    return types[folderName] || super.folderType(folderName);
+  }
+
+  classifySymbol(name, relativePath, context = {}) {
+    if (context.class) {
+      return REACT_BASE_CLASSES.includes(context.superClass) ? 'component' : super.classifySymbol(name, relativePath, context);
+    }
+    if (isServerAction(context)) return 'server-action';
+    if (isCustomHook(name)) return 'hook';
+    // Anonymous default exports have no name to go by, so rendering JSX decides
+    if (isReactComponent(name) || (name === 'default' && context.jsx)) return 'component';
+    return super.classifySymbol(name, relativePath, context);
+  }
+
+  classifyFile(relativePath, model) {
+    const normalized = toPosix(relativePath);
+    if (model.symbols.some(symbol => symbol.kind === 'component') || normalized.includes('/components/')) {
+      return 'component';
+    }
+    if (model.symbols.some(symbol => symbol.kind === 'hook') || normalized.includes('/hooks/')) return 'hook';
+    return super.classifyFile(relativePath, model);
+  }
+
+  filePurpose(relativePath, model) {
+    const components = model.symbols.filter(symbol => symbol.kind === 'component');
+    const hooks = model.symbols.filter(symbol => symbol.kind === 'hook');
+    const actions = model.symbols.filter(symbol => symbol.kind === 'server-action');
+    if (model.directives.includes('use server') && actions.length > 0) {
+      return `Server actions (${actions.map(a => a.name).join(', ')})`;
+    }
+    if (components.length > 0) return `React component (${components.map(c => c.name).join(', ')})`;
+    if (hooks.length > 0) return `Custom React hook (${hooks.map(h => h.name).join(', ')})`;
+    return super.filePurpose(relativePath, model);
+  }
+
+  detectStateManagement() {
+    const detected = super.detectStateManagement();
+    return detected === 'none' ? 'context' : detected;
+  }
+}
+
+function isReactComponent(name) {
+  return /^[A-Z]/.test(name);
+}
+
+// Functions with an inline 'use server', or exported async functions of a 'use server' module
+function isServerAction({ exported, async, directives = [], moduleDirectives = [] }) {
+  return directives.includes('use server') || (moduleDirectives.includes('use server') && exported && async);
+}
+
+function isCustomHook(name) {
+  return /^use[A-Z0-9]/.test(name);
+}
+
+module.exports = { ReactAdapter };
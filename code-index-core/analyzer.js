@@ -0,0 +1,505 @@
+/**
+ * Parses one source file into the framework-neutral file model every emitter reads:
+ *   imports:  [{ source, names, typeOnly?, reexport? }]  names are imported bindings ('default', '*' or a name);
+ *             typeOnly marks import type / export type, which are erased at runtime;
+ *             reexport marks export ... from, which forwards the names without using them
+ *   exports:  [name]                 including re-exported names and CommonJS module.exports/exports.x
+ *   reexports: [{ source, names }]  names is '*' for export * or [{ local, exported }]
+ *   defaultExport: string|null     local name behind the default export (export default function Foo, module.exports = foo)
+ *   symbols:  [{ name, kind, params, returns, async, exported, props?, complexity?, fingerprint?, referenced? }]
+ *             params are 'name?: Type' strings;
+ *             props is { refs, members } from a component's first parameter type;
+ *             complexity is { cyclomatic, nesting, lines, params, jsxElements?, hooks? } (see complexity.js);
+ *             fingerprint is the normalized body hash near-duplicates are found with (see duplicates.js);
+ *             referenced is true when the file itself uses the symbol, not counting export statements
+ *             type declarations: [{ name, kind: 'interface'|'type'|'enum', params: [], exported, members, extends, definition? }]
+ *             classes: [{ name, kind, params (constructor), exported, members, extends, complexity }]
+ *             anonymous default exports are named after their file (see defaultExportName) and marked anonymous
+ *             members are [{ name, optional, type, method? }]; method types read '(a: string): void'
+ *   features: [string]             framework features reported by the adapter
+ *   config:   { [name]: value }    framework config exports the adapter read statically (see static-value.js)
+ *   directives: [string]           module directive prologue ('use client', 'use server')
+ *   lines:    number               source line count
+ */
+
+const { parseSource, traverse } = require('./babel');
+const { fingerprint } = require('./duplicates');
+const { measureFunction, measureClass } = require('./complexity');
+
+const TYPE_KINDS = ['interface', 'type', 'enum'];
+const MAX_TYPE_LENGTH = 120; // Long inline types are cut so signatures stay readable
+// Generic wrappers whose first type argument carries the props
+const PROPS_WRAPPERS = ['Readonly', 'PropsWithChildren', 'Partial', 'FC', 'FunctionComponent', 'VFC', 'ComponentProps'];
+
+function analyzeSource(code, filePath, relativePath, adapter) {
+  let ast;
+  try {
+    ast = parseSource(filePath, code);
+  } catch (error) {
+    console.warn(`Parse error in ${relativePath}: ${error.message}`);
+    return null;
+  }
+
+  const model = { imports: [], exports: [], reexports: [], defaultExport: null, symbols: [], features: [], config: {},
+    directives: ast.program.directives.map(directive => directive.value.value), lines: code.split('\n').length };
+
+  const text = node => sourceText(node, code);
+
+  const commonjsExports = new Set(); // Local names assigned to module.exports or exports.x
+  const typeReferences = new Set(); // Type names used anywhere in the file
+
+  // Name for the anonymous default export, unless a binding of the file already uses it
+  let anonymousName = null;
+  const anonymousDefault = scope => {
+    if (!anonymousName) {
+      const derived = defaultExportName(relativePath);
+      anonymousName = scope.getProgramParent().hasBinding(derived) ? `${derived}Default` : derived;
+    }
+    return anonymousName;
+  };
+
+  const addSymbol = (name, node, path, exported = isExported(path)) => {
+    if (!name) return;
+    // Adapters classify anonymous default exports as 'default', by what they render rather than their name
+    const anonymous = name === anonymousName;
+    const context = {
+      exported,
+      async: node.async,
+      directives: node.body.directives?.map(directive => directive.value.value) || [],
+      moduleDirectives: model.directives,
+      jsx: anonymous && containsJsx(path)
+    };
+    const symbol = {
+      name,
+      kind: adapter.classifySymbol(anonymous ? 'default' : name, relativePath, context),
+      params: node.params.map(param => formatParam(param, text)),
+      returns: node.returnType ? text(node.returnType.typeAnnotation) : null,
+      async: node.async,
+      exported
+    };
+    if (anonymous) symbol.anonymous = true;
+    if (symbol.kind === 'component') {
+      const props = describeProps(node, path.parent, text);
+      if (props) symbol.props = props;
+    }
+    symbol.complexity = measureFunction(node, symbol.kind === 'component');
+    const shape = fingerprint(node);
+    if (shape) symbol.fingerprint = shape;
+    if (isReferencedLocally(name, node, path)) symbol.referenced = true;
+    model.symbols.push(symbol);
+  };
+
+  const addClassSymbol = (name, node, path) => {
+    const superClass = node.superClass ? referenceName(node.superClass) : null;
+    const exported = isExported(path);
+    const body = node.body.body.filter(member => !member.key || (member.key.type !== 'PrivateName' &&
+      member.accessibility !== 'private' && !member.computed));
+    const constructor = body.find(member => member.kind === 'constructor');
+    const symbol = {
+      name,
+      kind: adapter.classifySymbol(name, relativePath, { exported, class: true, superClass, moduleDirectives: model.directives }),
+      params: constructor ? constructor.params.map(param => formatParam(param, text)) : [],
+      returns: null,
+      async: false,
+      exported,
+      members: body.filter(member => member.kind !== 'constructor').map(member => classMember(member, text)).filter(Boolean),
+      extends: superClass ? [superClass] : []
+    };
+    // Class components take their props from Component<Props>
+    const props = symbol.kind === 'component' && node.superTypeParameters?.params[0];
+    if (props) symbol.props = typeShape(props, text);
+    if (name === anonymousName) symbol.anonymous = true;
+    symbol.complexity = measureClass(node, symbol.kind === 'component');
+    if (isReferencedLocally(name, node, path)) symbol.referenced = true;
+    model.symbols.push(symbol);
+  };
+
+  // module.exports = ... and exports.name = ... in CommonJS files
+  // value is an ObjectMethod for method shorthand in module.exports = { run() {} }
+  const addCommonjsExport = (name, value, path) => {
+    model.exports.push(name);
+    const isFunction = ['FunctionExpression', 'ArrowFunctionExpression', 'ObjectMethod'].includes(value.type);
+    if (name === 'default') {
+      model.defaultExport = value.name || value.id?.name || (isFunction ? anonymousDefault(path.scope) : null);
+    }
+    if (value.type === 'Identifier') {
+      commonjsExports.add(value.name);
+    } else if (isFunction) {
+      addSymbol(name === 'default' ? model.defaultExport : name, value, path, true);
+    }
+  };
+
+  const addTypeSymbol = (kind, node, path, details) => {
+    // Only module-level declarations; types inside namespaces or functions are not importable
+    const parent = path.parentPath;
+    if (!parent.isProgram() && !(parent.isExportDeclaration() && parent.parentPath.isProgram())) return;
+    model.symbols.push({ name: node.id.name, kind, params: [], async: false, exported: isExported(path), ...details });
+  };
+
+  const visitor = {
+    ImportDeclaration(path) {
+      const { specifiers, importKind } = path.node;
+      const typeOnly = importKind === 'type' ||
+        (specifiers.length > 0 && specifiers.every(spec => spec.importKind === 'type'));
+      model.imports.push({
+        source: path.node.source.value,
+        names: specifiers.map(spec => {
+          if (spec.type === 'ImportDefaultSpecifier') return 'default';
+          if (spec.type === 'ImportNamespaceSpecifier') return '*';
+          return spec.imported.name || spec.imported.value;
+        }),
+        ...(typeOnly && { typeOnly })
+      });
+    },
+
+    ExportAllDeclaration(path) {
+      model.imports.push({ source: path.node.source.value, names: ['*'], reexport: true });
+      const namespace = path.node.exported?.name;
+      if (namespace) model.exports.push(namespace);
+      model.reexports.push({
+        source: path.node.source.value,
+        names: namespace ? [{ local: '*', exported: namespace }] : '*'
+      });
+    },
+
+    Import(path) {
+      // Dynamic import('...') with a literal specifier
+      const arg = path.parent.arguments?.[0];
+      if (arg && arg.type === 'StringLiteral') {
+        model.imports.push({ source: arg.value, names: ['*'] });
+      }
+    },
+
+    ExportDefaultDeclaration(path) {
+      const declaration = path.node.declaration;
+      if (!declaration) return;
+      model.exports.push(declaration.name || declaration.id?.name || 'default');
+      const anonymous = (['FunctionDeclaration', 'ClassDeclaration'].includes(declaration.type) && !declaration.id) ||
+        ['ArrowFunctionExpression', 'FunctionExpression'].includes(declaration.type);
+      model.defaultExport = declaration.name || declaration.id?.name || (anonymous ? anonymousDefault(path.scope) : null);
+      // Anonymous functions and arrows are indexed under a name derived from the file; classes are handled by ClassDeclaration
+      if (anonymous && declaration.type !== 'ClassDeclaration') {
+        addSymbol(model.defaultExport, declaration, path.get('declaration'));
+      }
+    },
+
+    ExportNamedDeclaration(path) {
+      const { declaration, source, specifiers } = path.node;
+      if (declaration) {
+        const names = declaration.id
+          ? [declaration.id.name]
+          : Object.keys(path.get('declaration').getBindingIdentifiers());
+        names.forEach(name => model.exports.push(name));
+      }
+
+      const exportedName = spec => spec.exported.name || spec.exported.value;
+      specifiers.forEach(spec => model.exports.push(exportedName(spec)));
+      const defaultSpec = !source && specifiers.find(spec => exportedName(spec) === 'default');
+      if (defaultSpec) model.defaultExport = defaultSpec.local.name;
+
+      // Re-exports depend on their source module
+      if (source) {
+        const names = specifiers.map(spec => ({ local: spec.local?.name || '*', exported: exportedName(spec) }));
+        model.imports.push({
+          source: source.value,
+          names: names.map(name => name.local),
+          reexport: true,
+          ...(path.node.exportKind === 'type' && { typeOnly: true })
+        });
+        model.reexports.push({ source: source.value, names });
+      }
+    },
+
+    CallExpression(path) {
+      // CommonJS require('...') with a literal specifier
+      const { callee, arguments: args } = path.node;
+      if (callee.type !== 'Identifier' || callee.name !== 'require' || args[0]?.type !== 'StringLiteral') return;
+      if (path.scope.hasBinding('require')) return;
+
+      let names = ['*'];
+      if (path.parent.type === 'VariableDeclarator' && path.parent.id.type === 'ObjectPattern') {
+        names = path.parent.id.properties.map(p => p.key?.name || '*');
+      } else if (path.parent.type === 'MemberExpression' && !path.parent.computed) {
+        names = [path.parent.property.name];
+      } else if (path.parentPath.isExpressionStatement()) {
+        names = []; // Side-effect require
+      }
+      model.imports.push({ source: args[0].value, names });
+    },
+
+    AssignmentExpression(path) {
+      const target = commonjsExportTarget(path.node.left, path.scope);
+      if (!target) return;
+      const value = path.node.right;
+      if (target === 'module.exports' && value.type === 'ObjectExpression') {
+        value.properties.forEach(property => {
+          const key = property.type === 'ObjectProperty' || property.type === 'ObjectMethod'
+            ? property.key.name || property.key.value
+            : null;
+          if (!key) return;
+          addCommonjsExport(key, property.type === 'ObjectMethod' ? property : property.value, path);
+        });
+      } else if (target === 'module.exports') {
+        addCommonjsExport('default', value, path);
+      } else {
+        addCommonjsExport(target, value, path);
+      }
+    },
+
+    FunctionDeclaration(path) {
+      addSymbol(path.node.id?.name, path.node, path);
+    },
+
+    ClassDeclaration(path) {
+      const name = path.node.id?.name || (path.parentPath.isExportDefaultDeclaration() ? anonymousDefault(path.scope) : null);
+      if (name) addClassSymbol(name, path.node, path);
+    },
+
+    // const fn = () => {} and const fn = function () {}
+    'ArrowFunctionExpression|FunctionExpression'(path) {
+      const parent = path.parent;
+      if (parent.type === 'VariableDeclarator' && parent.id.name) {
+        addSymbol(parent.id.name, path.node, path);
+      }
+    },
+
+    TSInterfaceDeclaration(path) {
+      const node = path.node;
+      addTypeSymbol('interface', node, path, {
+        members: typeMembers(node.body.body, text),
+        extends: (node.extends || []).map(heritage => referenceName(heritage.expression)).filter(Boolean)
+      });
+    },
+
+    TSTypeAliasDeclaration(path) {
+      const shape = typeShape(path.node.typeAnnotation, text);
+      addTypeSymbol('type', path.node, path, {
+        members: shape.members,
+        extends: shape.refs,
+        definition: text(path.node.typeAnnotation)
+      });
+    },
+
+    TSTypeReference(path) {
+      typeReferences.add(referenceName(path.node.typeName));
+    },
+
+    TSExpressionWithTypeArguments(path) {
+      // extends/implements clauses
+      typeReferences.add(referenceName(path.node.expression));
+    },
+
+    TSEnumDeclaration(path) {
+      const members = (path.node.body?.members || path.node.members).map(member => ({
+        name: member.id.name || member.id.value,
+        optional: false,
+        type: member.initializer ? text(member.initializer) : null
+      }));
+      addTypeSymbol('enum', path.node, path, { members, extends: [] });
+    }
+  };
+
+  const frameworkVisitor = adapter.createVisitor(model, relativePath, code);
+  traverse(ast, frameworkVisitor ? traverse.visitors.merge([visitor, frameworkVisitor]) : visitor);
+
+  model.symbols.forEach(symbol => {
+    if (commonjsExports.has(symbol.name)) symbol.exported = true;
+    if (TYPE_KINDS.includes(symbol.kind) && typeReferences.has(symbol.name)) symbol.referenced = true;
+  });
+  model.exports = [...new Set(model.exports)];
+  model.features = [...new Set(model.features)];
+  return model;
+}
+
+// Parameter as it reads in a signature: 'label: string', '{ a, b }: Props', 'count = 0', '...rest: T[]'
+function formatParam(param, text) {
+  const annotation = param.typeAnnotation ? `: ${text(param.typeAnnotation.typeAnnotation)}` : '';
+  switch (param.type) {
+    case 'Identifier':
+      return `${param.name}${param.optional ? '?' : ''}${annotation}`;
+    case 'ObjectPattern':
+      return `{${param.properties.map(p => p.type === 'RestElement' ? `...${p.argument.name}` : p.key?.name || p.key?.value || '...').join(', ')}}${annotation}`;
+    case 'ArrayPattern':
+      return `[${param.elements.map(e => e?.name || '...').join(', ')}]${annotation}`;
+    case 'RestElement':
+      return `...${formatParam(param.argument, text)}${annotation}`;
+    case 'AssignmentPattern':
+      return `${formatParam(param.left, text)} = ${text(param.right)}`;
+    case 'TSParameterProperty':
+      return formatParam(param.parameter, text);
+    default:
+      return text(param);
+  }
+}
+
+// 'module.exports' or the property name for module.exports.x / exports.x, unless module or exports is a local
+function commonjsExportTarget(left, scope) {
+  if (left.type !== 'MemberExpression' || left.computed) return null;
+  const { object, property } = left;
+  if (object.type === 'Identifier' && object.name === 'module' && property.name === 'exports') {
+    return scope.hasBinding('module') ? null : 'module.exports';
+  }
+  if (object.type === 'Identifier' && object.name === 'exports') {
+    return scope.hasBinding('exports') ? null : property.name;
+  }
+  if (object.type === 'MemberExpression' && !object.computed && object.object.name === 'module' &&
+      object.property.name === 'exports') {
+    return scope.hasBinding('module') ? null : property.name;
+  }
+  return null;
+}
+
+function classMember(member, text) {
+  const name = member.key?.name || member.key?.value;
+  if (!name) return null;
+  const prefix = `${member.static ? 'static ' : ''}${member.async ? 'async ' : ''}`;
+  if (['ClassMethod', 'TSDeclareMethod'].includes(member.type)) {
+    return { name: `${prefix}${name}`, optional: !!member.optional, method: true, type: methodType(member.params, member.returnType, text) };
+  }
+  return {
+    name: `${prefix}${name}`,
+    optional: !!member.optional,
+    type: member.typeAnnotation ? text(member.typeAnnotation.typeAnnotation) : null
+  };
+}
+
+// Whether the file uses a function or class binding anywhere other than in an export statement
+function isReferencedLocally(name, node, path) {
+  const binding = path.scope.getBinding(name);
+  if (!binding || (binding.path.node !== node && binding.path.node.init !== node)) return false;
+  // Babel also records `export function x` and `export const x` as references from the export itself
+  return binding.referencePaths.some(reference => !reference.isExportDeclaration() &&
+    !reference.parentPath.isExportSpecifier() && !reference.parentPath.isExportDefaultDeclaration());
+}
+
+function containsJsx(path) {
+  let found = false;
+  path.traverse({
+    'JSXElement|JSXFragment'(jsxPath) {
+      found = true;
+      jsxPath.stop();
+    }
+  });
+  return found;
+}
+
+// Props of a component from its first parameter's annotation, or from FC<Props> on the variable
+function describeProps(node, parent, text) {
+  const param = node.params[0];
+  const target = param?.type === 'AssignmentPattern' ? param.left : param;
+  let annotation = target?.typeAnnotation?.typeAnnotation;
+  if (!annotation && parent.type === 'VariableDeclarator') {
+    annotation = parent.id.typeAnnotation?.typeAnnotation;
+  }
+
+  if (annotation) {
+    const shape = typeShape(annotation, text);
+    return shape.refs.length > 0 || shape.members.length > 0 ? shape : null;
+  }
+  if (target?.type === 'ObjectPattern') {
+    // Untyped destructuring still names the props; defaults make them optional
+    const members = target.properties
+      .filter(p => p.type === 'ObjectProperty')
+      .map(p => ({ name: p.key.name || p.key.value, optional: p.value.type === 'AssignmentPattern', type: null }));
+    return { refs: [], members };
+  }
+  return null;
+}
+
+// Inline members plus referenced type names of an object-like type
+function typeShape(type, text) {
+  switch (type?.type) {
+    case 'TSTypeLiteral':
+      return { refs: [], members: typeMembers(type.members, text) };
+    case 'TSParenthesizedType':
+      return typeShape(type.typeAnnotation, text);
+    case 'TSIntersectionType':
+      return type.types.map(part => typeShape(part, text)).reduce((shape, part) => ({
+        refs: [...shape.refs, ...part.refs],
+        members: [...shape.members, ...part.members]
+      }), { refs: [], members: [] });
+    case 'TSTypeReference': {
+      const name = referenceName(type.typeName);
+      const args = type.typeParameters?.params || [];
+      if (PROPS_WRAPPERS.includes(name) && args.length > 0) {
+        const inner = typeShape(args[0], text);
+        if (name === 'Partial') inner.members = inner.members.map(member => ({ ...member, optional: true }));
+        if (name === 'PropsWithChildren') inner.members.push({ name: 'children', optional: true, type: 'ReactNode' });
+        return inner;
+      }
+      return { refs: name ? [name] : [], members: [] };
+    }
+    default:
+      return { refs: [], members: [] };
+  }
+}
+
+function typeMembers(members, text) {
+  return members
+    .filter(member => member.type === 'TSPropertySignature' || member.type === 'TSMethodSignature')
+    .filter(member => !member.computed && (member.key.name || member.key.value))
+    .map(member => ({
+      name: member.key.name || member.key.value,
+      optional: !!member.optional,
+      ...(member.type === 'TSMethodSignature'
+        ? { method: true, type: methodType(member.parameters || member.params, member.typeAnnotation, text) }
+        : { type: member.typeAnnotation ? text(member.typeAnnotation.typeAnnotation) : null })
+    }));
+}
+
+// '(a: string): void' style signature of a method, without its name
+function methodType(params, returnType, text) {
+  const returns = returnType ? `: ${text(returnType.typeAnnotation)}` : '';
+  return `(${params.map(param => formatParam(param, text)).join(', ')})${returns}`;
+}
+
+// Last segment of Props, React.FC, Namespace.Props or React.Component
+function referenceName(typeName) {
+  if (!typeName) return null;
+  if (typeName.type === 'Identifier') return typeName.name;
+  if (typeName.type === 'TSQualifiedName') return typeName.right.name;
+  if (typeName.type === 'MemberExpression' && !typeName.computed) return typeName.property.name;
+  return null;
+}
+
+function sourceText(node, code) {
+  const source = code.slice(node.start, node.end).replace(/\s+/g, ' ');
+  return source.length > MAX_TYPE_LENGTH ? `${source.slice(0, MAX_TYPE_LENGTH - 1)}…` : source;
+}
+
+// Convention files are named after their folder: app/blog/[slug]/page.tsx -> SlugPage,
+// components/user-card/index.tsx -> UserCard, app/page.tsx -> RootPage, pages/index.tsx -> RootIndex;
+// others after the file itself
+const CONVENTION_FILES = ['page', 'layout', 'template', 'loading', 'error', 'global-error', 'not-found', 'default', 'route', 'index'];
+const SOURCE_ROOTS = ['app', 'pages', 'src'];
+
+function defaultExportName(relativePath) {
+  const segments = relativePath.split(/[\\/]/);
+  const base = segments.pop().replace(/\.[^.]+$/, '');
+  const pascal = value => value.split(/[^A-Za-z0-9]+/).filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1)).join('');
+  if (!CONVENTION_FILES.includes(base)) {
+    const name = /^[A-Za-z_$][\w$]*$/.test(base) ? base : pascal(base);
+    return /^[A-Za-z_$]/.test(name) ? name : `_${name}`;
+  }
+
+  // Route groups and parallel-route slots aren't part of the URL, so the folder above names the file
+  const folder = segments.reverse()
+    .map(segment => SOURCE_ROOTS.includes(segment) ? 'Root' : pascal(segment.replace(/^\(.*\)$|^@.*$/, '')))
+    .find(Boolean) || 'Root';
+  const suffix = base === 'index' && folder !== 'Root' ? '' : pascal(base);
+  return /^[A-Za-z_$]/.test(folder) ? `${folder}${suffix}` : `_${folder}${suffix}`;
+}
+
+function isExported(path) {
+  let current = path;
+  while (current) {
+    if (current.isExportDefaultDeclaration() || current.isExportNamedDeclaration()) {
+      return true;
+    }
+    current = current.parentPath;
+  }
+  return false;
+}
+
+module.exports = { analyzeSource, TYPE_KINDS };
@@ -0,0 +1,29 @@
+/**
+ * Babel parser shared by every generator
+ */
+
+let parser, traverse;
+try {
+  parser = require('@babel/parser');
+  traverse = require('@babel/traverse').default;
+} catch (e) {
+  console.error('Please install Babel dependencies: npm install @babel/parser @babel/traverse');
+  process.exit(1);
+}
+
+function parseSource(filePath, code) {
+  // Parse with appropriate plugins
+  const plugins = ['jsx'];
+  if (filePath.endsWith('.ts') || filePath.endsWith('.tsx')) {
+    plugins.push('typescript');
+  }
+
+  // Recover from minor syntax errors so one typo doesn't hide a whole file
+  return parser.parse(code, {
+    sourceType: 'module',
+    plugins,
+    errorRecovery: true
+  });
+}
+
+module.exports = { parseSource, traverse };
@@ -0,0 +1,88 @@
+/**
+ * Per-file analysis cache keyed on mtime/size with a content-hash fallback
+ *
+ * The whole cache is also tied to an analysis key: a hash of the project settings the file models
+ * depend on, such as the framework adapter. When those change, every file is analyzed again.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Bump whenever the analyzer's code changes the file model; project settings belong in the key
+const CACHE_VERSION = 15;
+
+class FileCache {
+  // settings: what the analysis depends on besides file content, hashed into the cache key
+  constructor(projectPath, fileName, enabled = true, settings = {}) {
+    this.cachePath = path.join(projectPath, fileName);
+    this.enabled = enabled;
+    this.key = hashContent(JSON.stringify(settings));
+    this.files = {};
+    this.stats = { reused: 0, analyzed: 0, pruned: 0 };
+  }
+
+  load() {
+    this.files = {};
+    if (!this.enabled) return this.files;
+    try {
+      const cache = JSON.parse(fs.readFileSync(this.cachePath, 'utf8'));
+      // Entries produced by a different analyzer version or for other settings can't be trusted
+      if (cache.version === CACHE_VERSION && cache.key === this.key && cache.files) this.files = cache.files;
+    } catch (e) {
+      // Missing or corrupt cache; start fresh
+    }
+    return this.files;
+  }
+
+  save() {
+    if (!this.enabled) return;
+    try {
+      fs.writeFileSync(this.cachePath, JSON.stringify({ version: CACHE_VERSION, key: this.key, files: this.files }));
+    } catch (e) {
+      console.warn(`⚠️  Could not write cache: ${e.message}`);
+    }
+  }
+
+  // Returns { hash, mtimeMs, size, model }, calling analyze(code) only when the content changed
+  async lookup(relativePath, filePath, stat, analyze) {
+    const cached = this.files[relativePath];
+
+    // Fast path: unchanged size and mtime means unchanged content
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+      this.stats.reused++;
+      return cached;
+    }
+
+    const code = fs.readFileSync(filePath, 'utf8');
+    const hash = hashContent(code);
+
+    // Touched but identical content (checkout, formatter no-op, etc.)
+    if (cached && cached.hash === hash) {
+      this.stats.reused++;
+      return (this.files[relativePath] = { ...cached, mtimeMs: stat.mtimeMs, size: stat.size });
+    }
+
+    this.stats.analyzed++;
+    const model = await analyze(code);
+    return (this.files[relativePath] = { hash, mtimeMs: stat.mtimeMs, size: stat.size, model });
+  }
+
+  delete(relativePath) {
+    delete this.files[relativePath];
+  }
+
+  // Anything cached but no longer on disk has been deleted or moved
+  prune(seen) {
+    Object.keys(this.files).filter(file => !seen.has(file)).forEach(file => {
+      delete this.files[file];
+      this.stats.pruned++;
+    });
+  }
+}
+
+function hashContent(code) {
+  return crypto.createHash('sha1').update(code).digest('hex');
+}
+
+module.exports = { FileCache, hashContent };
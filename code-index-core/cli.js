@@ -0,0 +1,101 @@
+/**
+ * Command-line helpers shared by the generator scripts
+ */
+
+const path = require('path');
+const { collectViolations, formatLayerCheck } = require('./layers');
+
+// Splits argv into positionals and --flags; flags listed in valueFlags consume the next argument
+function parseArgs(argv, valueFlags = []) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    const value = inline !== undefined ? inline : (valueFlags.includes(name) ? argv[++i] : true);
+    // Repeated flags accumulate into an array
+    flags[name] = name in flags ? [].concat(flags[name], value) : value;
+  }
+  return { positional, flags };
+}
+
+// --check: builds the generator's projects without writing the index, prints their layer violations
+// to stdout and fails the process when there are any. Progress output moves to stderr.
+async function runLayerCheck(generator, flags = {}) {
+  console.log = console.error;
+  await (generator.workspace || generator.model).build();
+  const violations = collectViolations(generator.projects());
+  if (!violations) {
+    console.error('⚠️  No "layers" rules in .codeindexrc, nothing to check');
+    return;
+  }
+  const ruleCount = generator.projects()[0].model.config.layers.length;
+  process.stdout.write(flags.json ? `${JSON.stringify(violations, null, 2)}\n` : formatLayerCheck(violations, ruleCount));
+  if (violations.length > 0) process.exitCode = 1;
+}
+
+// The command line of a generator script:
+//   [project-path] [--no-cache] [--no-workspaces] [--watch]   generate the index
+//   [project-path] --check [--json]                           check layer rules (see runLayerCheck)
+//   mcp [project-path] [--watch]                              generate, then serve the index over MCP
+// plus the script's own subcommands. spec:
+//   Generator:  class taking (projectPath, options), with generate(), watch(), serveMcp() and projects()
+//   banner:     first line printed by the generate command
+//   valueFlags: flags of the script's own options and subcommands that take a value
+//   options:    flags => extra generator options for the generate command
+//   commands:   { name: ({ args, flags, createGenerator }) => undefined or a promise }; throwing or
+//               rejecting prints the error and exits with 1
+function runCli({ Generator, banner, valueFlags = [], options = () => ({}), commands = {} }, argv = process.argv.slice(2)) {
+  const { positional, flags } = parseArgs(argv, valueFlags);
+  const fail = error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  };
+  const run = action => {
+    try {
+      Promise.resolve(action()).catch(fail);
+    } catch (error) {
+      fail(error);
+    }
+  };
+  // Invalid .codeindexrc settings surface while constructing
+  const createGenerator = (projectPath, generatorOptions) => {
+    try {
+      return new Generator(projectPath, generatorOptions);
+    } catch (error) {
+      return fail(error);
+    }
+  };
+  const buildOptions = { cache: !flags['no-cache'], workspaces: !flags['no-workspaces'] };
+
+  const [command, ...args] = positional;
+  if (commands[command]) {
+    run(() => commands[command]({ args, flags, createGenerator }));
+  } else if (command === 'mcp') {
+    // stdout carries the protocol, so progress output moves to stderr
+    console.log = console.error;
+    const generator = createGenerator(args[0] || '.', buildOptions);
+    run(async () => {
+      await generator.generate();
+      generator.serveMcp();
+      if (flags.watch) generator.watch();
+    });
+  } else if (flags.check) {
+    run(() => runLayerCheck(createGenerator(positional[0] || '.', buildOptions), flags));
+  } else {
+    const projectPath = positional[0] || '.';
+    console.log(banner);
+    console.log(`📍 Project: ${path.resolve(projectPath)}\n`);
+    const generator = createGenerator(projectPath, { ...buildOptions, ...options(flags) });
+    run(async () => {
+      await generator.generate();
+      if (flags.watch) generator.watch();
+    });
+  }
+}
+
+module.exports = { parseArgs, runLayerCheck, runCli };
@@ -0,0 +1,100 @@
+/**
+ * Complexity metrics per function, class and file, read from the syntax tree
+ *
+ * Callbacks defined inside a function count toward it, so a component's metrics include its event
+ * handlers and effects. Hotspots are the symbols past any of the HOTSPOT limits.
+ */
+
+// Each adds a path through the code
+const BRANCHES = new Set(['IfStatement', 'ConditionalExpression', 'ForStatement', 'ForInStatement', 'ForOfStatement',
+  'WhileStatement', 'DoWhileStatement', 'CatchClause']);
+const LOGICAL_OPERATORS = new Set(['&&', '||', '??', '&&=', '||=', '??=']);
+// Each opens a nesting level
+const NESTING = new Set(['IfStatement', 'ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement',
+  'DoWhileStatement', 'SwitchStatement', 'TryStatement']);
+const SKIPPED_KEYS = new Set(['loc', 'start', 'end', 'extra', 'range', 'leadingComments', 'trailingComments',
+  'innerComments', 'typeAnnotation', 'returnType', 'typeParameters', 'superTypeParameters']);
+// McCabe's threshold for cyclomatic complexity, ESLint's max-depth default, and a screenful of code
+const HOTSPOT = { cyclomatic: 10, nesting: 4, lines: 80 };
+const MAX_HOTSPOTS = 10;
+
+// { cyclomatic, nesting, lines, params } plus { jsxElements, hooks } for components
+function measureFunction(node, component = false) {
+  const counts = { cyclomatic: 1, nesting: 0, jsxElements: 0, hooks: 0 };
+  walk(node.body, 0, counts);
+  return metrics(node, node.params.length, counts, component);
+}
+
+// Methods add up, as if the class were the sum of its functions; params are the constructor's
+function measureClass(node, component = false) {
+  const members = node.body.body;
+  const methods = members.filter(member => /Method$/.test(member.type) ||
+    ['FunctionExpression', 'ArrowFunctionExpression'].includes(member.value?.type));
+  const constructor = members.find(member => member.kind === 'constructor');
+  const counts = { cyclomatic: Math.max(methods.length, 1), nesting: 0, jsxElements: 0, hooks: 0 };
+  walk(node.body, 0, counts);
+  return metrics(node, constructor ? constructor.params.length : 0, counts, component);
+}
+
+function metrics(node, params, counts, component) {
+  return {
+    cyclomatic: counts.cyclomatic,
+    nesting: counts.nesting,
+    lines: node.loc.end.line - node.loc.start.line + 1,
+    params,
+    ...(component && { jsxElements: counts.jsxElements, hooks: counts.hooks })
+  };
+}
+
+function walk(node, depth, counts) {
+  const { type } = node;
+  if (BRANCHES.has(type) || (type === 'SwitchCase' && node.test) ||
+    (['LogicalExpression', 'AssignmentExpression'].includes(type) && LOGICAL_OPERATORS.has(node.operator))) {
+    counts.cyclomatic++;
+  }
+  if (type === 'JSXElement') counts.jsxElements++;
+  if (['CallExpression', 'OptionalCallExpression'].includes(type) && isHookCall(node.callee)) counts.hooks++;
+
+  const level = NESTING.has(type) ? depth + 1 : depth;
+  counts.nesting = Math.max(counts.nesting, level);
+  Object.keys(node).forEach(key => {
+    if (SKIPPED_KEYS.has(key)) return;
+    [].concat(node[key]).forEach(child => {
+      if (!child || typeof child.type !== 'string') return;
+      // `else if` continues the chain on the same level
+      walk(child, type === 'IfStatement' && key === 'alternate' && child.type === 'IfStatement' ? depth : level, counts);
+    });
+  });
+}
+
+// useState(), React.useState()
+function isHookCall(callee) {
+  const name = callee.type === 'Identifier' ? callee.name
+    : callee.type === 'MemberExpression' && !callee.computed ? callee.property.name : null;
+  return /^use[A-Z0-9]/.test(name || '');
+}
+
+// File totals for level2: summed paths, deepest nesting and the most complex symbol
+function summarizeFile(fileModel) {
+  const measured = fileModel.symbols.filter(symbol => symbol.complexity);
+  return {
+    functions: measured.length,
+    cyclomatic: measured.reduce((sum, symbol) => sum + symbol.complexity.cyclomatic, 0),
+    maxCyclomatic: Math.max(0, ...measured.map(symbol => symbol.complexity.cyclomatic)),
+    maxNesting: Math.max(0, ...measured.map(symbol => symbol.complexity.nesting)),
+    lines: fileModel.lines
+  };
+}
+
+// Symbols ({ file, name, kind, complexity }) past any HOTSPOT limit, most complex first:
+// [{ file, name, type, ...metrics }]
+function findHotspots(symbols) {
+  return symbols
+    .filter(symbol => symbol.complexity && Object.keys(HOTSPOT).some(metric => symbol.complexity[metric] >= HOTSPOT[metric]))
+    .map(symbol => ({ file: symbol.file, name: symbol.name, type: symbol.kind, ...symbol.complexity }))
+    .sort((a, b) => b.cyclomatic - a.cyclomatic || b.nesting - a.nesting || b.lines - a.lines ||
+      a.file.localeCompare(b.file))
+    .slice(0, MAX_HOTSPOTS);
+}
+
+module.exports = { measureFunction, measureClass, summarizeFile, findHotspots, HOTSPOT };
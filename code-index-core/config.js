@@ -0,0 +1,125 @@
+/**
+ * Project configuration from .codeindexrc: which files are indexed, budgets, output paths and analyzers
+ *
+ * .codeindexrc and .codeindexrc.json hold JSON (comments allowed); .codeindexrc.js and .cjs export
+ * the same object from a CommonJS module. Top-level keys apply to both generators, and a `cursor` or
+ * `claude` section overrides them for one of them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseJsonc } = require('./resolver');
+
+const CONFIG_FILES = ['.codeindexrc', '.codeindexrc.json', '.codeindexrc.js', '.codeindexrc.cjs'];
+const TOOL_SECTIONS = ['cursor', 'claude'];
+// Excluded before any user globs; .gitignore usually covers the rest
+const DEFAULT_EXCLUDE = ['node_modules', 'dist', 'coverage', 'storybook-static'];
+// Optional analysis steps, all on by default
+const ANALYZERS = ['git', 'routes', 'config', 'boundaries', 'props', 'snippets', 'duplicates', 'unused', 'cycles'];
+
+const SCHEMA = {
+  include: 'globs', // Only files matching one of these are indexed (default: all)
+  exclude: 'globs', // Added to DEFAULT_EXCLUDE
+  roots: 'paths', // Extra source directories for the structure overview, e.g. packages or features
+  entries: 'globs', // Files loaded outside the import graph, e.g. scripts; unused-code detection starts there too
+  layers: 'rules', // [{ from, disallow, message?, ignoreTypeImports? }] import rules (see layers.js)
+  maxFileSize: 'number', // Bytes; larger files stay out of the index but still resolve imports
+  maxTokens: 'number', // Compact index budget
+  output: 'object', // { json, markdown } paths relative to the project
+  gitignore: 'boolean',
+  analyzers: 'object' // { [analyzer]: false } turns one off
+};
+
+// Normalized configuration for a project, with the tool's own section merged in
+function loadConfig(projectPath, tool = null) {
+  const root = path.resolve(projectPath);
+  const file = CONFIG_FILES.find(name => fs.existsSync(path.join(root, name)));
+  let raw = {};
+  if (file) {
+    try {
+      const filePath = path.join(root, file);
+      raw = /\.c?js$/.test(file) ? requireFresh(filePath) : parseJsonc(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read ${file}: ${error.message}`);
+    }
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error(`${file} must define an object`);
+  }
+
+  const shared = Object.fromEntries(Object.entries(raw).filter(([key]) => !TOOL_SECTIONS.includes(key)));
+  const section = (tool && raw[tool]) || {};
+  const settings = { ...shared, ...section };
+  // Object options merge key by key, so a section can move one output or switch off one analyzer
+  ['output', 'analyzers'].forEach(key => {
+    if (shared[key] && section[key]) settings[key] = { ...shared[key], ...section[key] };
+  });
+  validate(settings, file);
+
+  const analyzers = Object.fromEntries(ANALYZERS.map(name => [name, settings.analyzers?.[name] !== false]));
+  return {
+    file: file || null,
+    include: settings.include || [],
+    exclude: [...DEFAULT_EXCLUDE, ...(settings.exclude || [])],
+    roots: settings.roots || [],
+    entries: settings.entries || [],
+    layers: (settings.layers || []).map(rule => ({
+      from: [].concat(rule.from),
+      disallow: [].concat(rule.disallow),
+      message: rule.message || null,
+      ignoreTypeImports: rule.ignoreTypeImports === true
+    })),
+    maxFileSize: settings.maxFileSize ?? null,
+    maxTokens: settings.maxTokens ?? null,
+    output: settings.output || {},
+    gitignore: settings.gitignore !== false,
+    analyzers
+  };
+}
+
+function validate(settings, file) {
+  Object.entries(settings).forEach(([key, value]) => {
+    const type = SCHEMA[key];
+    if (!type) {
+      console.warn(`⚠️  ${file}: unknown option "${key}"`);
+      return;
+    }
+    const valid = type === 'globs' ? isGlobList(value)
+      : type === 'paths' ? isPathList(value)
+        : type === 'rules' ? Array.isArray(value) && value.every(isLayerRule)
+          : type === 'object' ? value && typeof value === 'object' && !Array.isArray(value) : typeof value === type;
+    if (!valid) {
+      const expected = {
+        globs: 'an array of glob strings',
+        paths: 'an array of directory paths (glob patterns are not expanded)',
+        rules: 'an array of { from, disallow } rules with glob strings'
+      };
+      throw new Error(`${file}: "${key}" must be ${expected[type] || `a ${type}`}`);
+    }
+  });
+  Object.keys(settings.analyzers || {}).filter(name => !ANALYZERS.includes(name)).forEach(name => {
+    console.warn(`⚠️  ${file}: unknown analyzer "${name}" (expected one of: ${ANALYZERS.join(', ')})`);
+  });
+}
+
+// Node caches required modules, so an edited config would otherwise keep its first version
+function requireFresh(filePath) {
+  delete require.cache[require.resolve(filePath)];
+  return require(filePath);
+}
+
+function isGlobList(value) {
+  return Array.isArray(value) && value.every(entry => typeof entry === 'string');
+}
+
+// Plain relative directories; a glob here would be taken literally and match nothing
+function isPathList(value) {
+  return isGlobList(value) && !value.some(entry => /[*?[\]{}!]/.test(entry));
+}
+
+// from and disallow take one glob or a list
+function isLayerRule(rule) {
+  const isGlobs = value => typeof value === 'string' || (isGlobList(value) && value.length > 0);
+  return rule && typeof rule === 'object' && isGlobs(rule.from) && isGlobs(rule.disallow) &&
+    (rule.message === undefined || typeof rule.message === 'string');
+}
+
+module.exports = { loadConfig, CONFIG_FILES, DEFAULT_EXCLUDE, ANALYZERS };
@@ -0,0 +1,134 @@
+/**
+ * Import cycles between project files, from resolved dependency edges
+ *
+ * Only imports that survive compilation count: `import type` cycles are harmless. Barrel shortcut
+ * edges (those with `via`) are left out so every chain follows real import statements. Each strongly
+ * connected group of files yields the shortest cycle through each of its files, without repeats.
+ */
+
+const path = require('path');
+
+// Bundles each boundary placement from analyzeBoundaries ends up in
+const BOUNDARY_SIDES = { client: ['client'], server: ['server'], 'server-actions': ['server'], shared: ['client', 'server'] };
+
+// [{ files, crossesBoundary, barrels }], files in import order; the last file imports the first
+function findCycles(model) {
+  const graph = new Map();
+  model.dependencies.edges
+    .filter(edge => !edge.via && !edge.typeOnly)
+    .forEach(edge => {
+      if (!graph.has(edge.from)) graph.set(edge.from, []);
+      graph.get(edge.from).push(edge.to);
+    });
+
+  const seen = new Set();
+  const cycles = [];
+  const groups = stronglyConnected(graph).filter(group => group.length > 1);
+  const boundaries = groups.length > 0 ? model.boundaries()?.modules : null;
+  groups.forEach(group => {
+    const members = new Set(group);
+    group.forEach(file => {
+      const cycle = shortestCycle(graph, file, members);
+      const key = canonical(cycle).join('\n');
+      if (seen.has(key)) return;
+      seen.add(key);
+      cycles.push(describeCycle(model, canonical(cycle), boundaries));
+    });
+  });
+  return cycles.sort((a, b) => a.files.length - b.files.length || a.files[0].localeCompare(b.files[0]));
+}
+
+// Tarjan's algorithm, iterative so long import chains can't overflow the stack
+function stronglyConnected(graph) {
+  const index = new Map();
+  const lowlink = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const groups = [];
+  let counter = 0;
+
+  [...graph.keys()].sort().forEach(root => {
+    if (index.has(root)) return;
+    const work = [{ node: root, next: 0 }];
+    index.set(root, counter);
+    lowlink.set(root, counter++);
+    stack.push(root);
+    onStack.add(root);
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      const targets = graph.get(frame.node) || [];
+      if (frame.next < targets.length) {
+        const target = targets[frame.next++];
+        if (!index.has(target)) {
+          index.set(target, counter);
+          lowlink.set(target, counter++);
+          stack.push(target);
+          onStack.add(target);
+          work.push({ node: target, next: 0 });
+        } else if (onStack.has(target)) {
+          lowlink.set(frame.node, Math.min(lowlink.get(frame.node), index.get(target)));
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1].node;
+        lowlink.set(parent, Math.min(lowlink.get(parent), lowlink.get(frame.node)));
+      }
+      if (lowlink.get(frame.node) === index.get(frame.node)) {
+        const group = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          group.push(member);
+        } while (member !== frame.node);
+        groups.push(group);
+      }
+    }
+  });
+  return groups;
+}
+
+// Breadth-first search from a file back to itself, staying inside its group
+function shortestCycle(graph, start, members) {
+  const previous = new Map([[start, null]]);
+  const queue = [start];
+  for (let i = 0; i < queue.length; i++) {
+    const file = queue[i];
+    for (const target of graph.get(file) || []) {
+      if (target === start) {
+        const chain = [];
+        for (let step = file; step !== null; step = previous.get(step)) chain.unshift(step);
+        return chain;
+      }
+      if (members.has(target) && !previous.has(target)) {
+        previous.set(target, file);
+        queue.push(target);
+      }
+    }
+  }
+  return [start];
+}
+
+// Rotation starting at the alphabetically first file, so each cycle is reported once
+function canonical(cycle) {
+  const first = cycle.indexOf([...cycle].sort()[0]);
+  return [...cycle.slice(first), ...cycle.slice(0, first)];
+}
+
+// boundaries maps files to their client/server placement, or is null when it isn't known
+function describeCycle(model, files, boundaries) {
+  const sides = files.map(file => BOUNDARY_SIDES[boundaries?.[file]] || []);
+  const barrels = files.filter(file => /^index\.[cm]?[jt]sx?$/.test(path.basename(file)) && model.files[file].reexports.length > 0);
+  return {
+    files,
+    // A client-only module in a cycle with modules rendered on the server
+    crossesBoundary: sides.some(side => side.length === 1 && side[0] === 'client') && sides.some(side => side.includes('server')),
+    barrels
+  };
+}
+
+module.exports = { findCycles };
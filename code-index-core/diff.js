@@ -0,0 +1,160 @@
+/**
+ * API-surface diff between two hierarchical indexes (codebase-index.json)
+ *
+ * Compares exports per file (level2), symbol signatures (level3), routes and detected patterns.
+ * Workspace indexes are compared through their flattened, workspace-relative view.
+ */
+
+const { flattenWorkspaceIndex } = require('./emitters/hierarchical');
+
+function diffIndexes(before, after) {
+  const [old, current] = [before, after].map(index => (index.packages ? flattenWorkspaceIndex(index) : index));
+  const exports = diffExports(old.level2, current.level2);
+  const symbols = diffSymbols(old.level3, current.level3);
+  const routes = diffRoutes(old.architectural.routes || {}, current.architectural.routes || {});
+  const patterns = diffPatterns(old.architectural.patterns || {}, current.architectural.patterns || {});
+
+  // Exported signatures that changed or disappeared break callers; additions don't
+  const signatureChanges = symbols.changed.filter(entry => entry.exported).length +
+    exports.removed.reduce((sum, entry) => sum + entry.names.length, 0);
+  return {
+    exports,
+    symbols,
+    routes,
+    patterns,
+    summary: {
+      changed: [exports.added, exports.removed, symbols.added, symbols.removed, symbols.changed, routes.added, routes.removed, patterns]
+        .some(list => list.length > 0),
+      signatureChanges
+    }
+  };
+}
+
+// Names each file exports, added and removed; a new or deleted file lists all of its exports
+function diffExports(before, after) {
+  const added = [];
+  const removed = [];
+  const files = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+  files.forEach(file => {
+    const oldNames = new Set(before[file]?.exports || []);
+    const newNames = new Set(after[file]?.exports || []);
+    const gained = [...newNames].filter(name => !oldNames.has(name));
+    const lost = [...oldNames].filter(name => !newNames.has(name));
+    if (gained.length > 0) added.push({ file, names: gained, newFile: !before[file] });
+    if (lost.length > 0) removed.push({ file, names: lost, deletedFile: !after[file] });
+  });
+  return { added, removed };
+}
+
+// Level3 entries by file:name; a changed entry differs in signature, kind or export status
+function diffSymbols(before, after) {
+  const describe = entry => ({ file: entry.file, name: entry.name, type: entry.type, exported: !!entry.exported });
+  const added = Object.keys(after).filter(key => !before[key]).sort().map(key => ({ ...describe(after[key]), signature: after[key].signature }));
+  const removed = Object.keys(before).filter(key => !after[key]).sort().map(key => ({ ...describe(before[key]), signature: before[key].signature }));
+  const changed = Object.keys(after).filter(key => before[key]).sort()
+    .filter(key => before[key].signature !== after[key].signature || before[key].type !== after[key].type ||
+      !!before[key].exported !== !!after[key].exported)
+    .map(key => ({
+      ...describe(after[key]),
+      // An export that became internal still breaks its importers
+      exported: !!(before[key].exported || after[key].exported),
+      before: { signature: before[key].signature, type: before[key].type, exported: !!before[key].exported },
+      after: { signature: after[key].signature, type: after[key].type, exported: !!after[key].exported }
+    }));
+  return { added, removed, changed };
+}
+
+// Routes are identified by router, URL path, file type and parallel-route slot
+function diffRoutes(before, after) {
+  const keyed = routes => new Map(Object.entries(routes).flatMap(([router, entries]) => entries.map(route => [
+    [route.package, router, route.path, route.type, route.slot].filter(Boolean).join(' '),
+    { router, path: route.path, type: route.type, file: route.file, ...(route.package && { package: route.package }) }
+  ])));
+  const [oldRoutes, newRoutes] = [keyed(before), keyed(after)];
+  const missingFrom = (routes, other) => [...routes.keys()].filter(key => !other.has(key)).sort().map(key => routes.get(key));
+  return { added: missingFrom(newRoutes, oldRoutes), removed: missingFrom(oldRoutes, newRoutes) };
+}
+
+function diffPatterns(before, after) {
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(pattern => !!before[pattern] !== !!after[pattern])
+    .sort()
+    .map(pattern => ({ pattern, before: !!before[pattern], after: !!after[pattern] }));
+}
+
+// Markdown for a pull request description
+function formatDiff(diff, labels = {}) {
+  let content = '## Codebase index changes\n\n';
+  if (labels.before || labels.after) content += `**Compared:** ${labels.before || 'before'} → ${labels.after || 'after'}\n\n`;
+  if (!diff.summary.changed) return content + 'No API-surface changes.\n';
+
+  const { exports, symbols, routes, patterns } = diff;
+  const changedExports = symbols.changed.filter(entry => entry.exported);
+  if (changedExports.length > 0 || exports.removed.length > 0) {
+    content += `⚠️ **${diff.summary.signatureChanges} exported signature change(s)**\n\n`;
+  }
+
+  if (exports.added.length > 0 || exports.removed.length > 0) {
+    content += '### Exports\n';
+    exports.added.forEach(entry => {
+      content += `- ➕ \`${entry.file}\`${entry.newFile ? ' (new file)' : ''}: ${entry.names.join(', ')}\n`;
+    });
+    exports.removed.forEach(entry => {
+      content += `- ➖ \`${entry.file}\`${entry.deletedFile ? ' (deleted file)' : ''}: ${entry.names.join(', ')}\n`;
+    });
+    content += '\n';
+  }
+
+  if (symbols.changed.length > 0) {
+    content += '### Signature Changes\n';
+    symbols.changed.forEach(entry => {
+      content += `- **${entry.name}** in \`${entry.file}\`${entry.exported ? ' [EXPORTED]' : ''}\n`;
+      content += `  - before: \`${entry.before.signature}\`${describeStatus(entry.before, entry.after)}\n`;
+      content += `  - after: \`${entry.after.signature}\`${describeStatus(entry.after, entry.before)}\n`;
+    });
+    content += '\n';
+  }
+
+  if (symbols.added.length > 0 || symbols.removed.length > 0) {
+    content += '### Symbols\n';
+    symbols.added.forEach(entry => {
+      content += `- ➕ \`${entry.signature}\` (${entry.type}) in \`${entry.file}\`${entry.exported ? ' [EXPORTED]' : ''}\n`;
+    });
+    symbols.removed.forEach(entry => {
+      content += `- ➖ \`${entry.signature}\` (${entry.type}) in \`${entry.file}\`${entry.exported ? ' [EXPORTED]' : ''}\n`;
+    });
+    content += '\n';
+  }
+
+  if (routes.added.length > 0 || routes.removed.length > 0) {
+    content += '### Routes\n';
+    const describe = route => `\`${route.path}\` (${route.type}, ${route.router}${route.package ? `, ${route.package}` : ''}) in \`${route.file}\``;
+    routes.added.forEach(route => {
+      content += `- ➕ ${describe(route)}\n`;
+    });
+    routes.removed.forEach(route => {
+      content += `- ➖ ${describe(route)}\n`;
+    });
+    content += '\n';
+  }
+
+  if (patterns.length > 0) {
+    content += '### Patterns\n';
+    patterns.forEach(entry => {
+      content += `- **${entry.pattern}**: ${entry.before ? '✅' : '❌'} → ${entry.after ? '✅' : '❌'}\n`;
+    });
+    content += '\n';
+  }
+
+  return content;
+}
+
+// Type and export status, shown only when they differ from the other side
+function describeStatus(entry, other) {
+  const details = [];
+  if (entry.type !== other.type) details.push(entry.type);
+  if (entry.exported !== other.exported) details.push(entry.exported ? 'exported' : 'internal');
+  return details.length > 0 ? ` (${details.join(', ')})` : '';
+}
+
+module.exports = { diffIndexes, formatDiff };
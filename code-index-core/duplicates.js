@@ -0,0 +1,146 @@
+/**
+ * Near-duplicate functions, components and hooks from normalized AST fingerprints
+ *
+ * A fingerprint is the MinHash of a function's 4-grams of AST node types. Identifiers, literals and
+ * type annotations are abstracted away, so renamed copies of the same logic still match, and two
+ * fingerprints estimate the Jaccard similarity of their 4-gram sets.
+ */
+
+const SHINGLE_SIZE = 4;
+const MINHASH_SIZE = 64;
+const MIN_TOKENS = 40; // Smaller bodies look alike whatever they do
+// Similarity bands of the Duplication Prevention rule in codebase_awareness.mdc
+const TIERS = [
+  { tier: 'duplicate', min: 0.8 },
+  { tier: 'similar', min: 0.6 },
+  { tier: 'related', min: 0.4 }
+];
+const MIN_SIMILARITY = TIERS[TIERS.length - 1].min;
+// Position and comment keys carry no structure; type keys would split typed and untyped copies
+const SKIPPED_KEYS = new Set(['loc', 'start', 'end', 'extra', 'range', 'leadingComments', 'trailingComments',
+  'innerComments', 'typeAnnotation', 'returnType', 'typeParameters', 'superTypeParameters']);
+const SEEDS = Array.from({ length: MINHASH_SIZE }, (_, i) => mix(i + 1));
+
+// { tokens, minhash } for a function node, or null when it is too small to compare
+function fingerprint(node) {
+  const tokens = [];
+  collectTokens(node, tokens);
+  if (tokens.length < MIN_TOKENS) return null;
+
+  const shingles = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= tokens.length; i++) {
+    shingles.add(hashString(tokens.slice(i, i + SHINGLE_SIZE).join(' ')));
+  }
+  const minhash = SEEDS.map(seed => {
+    let min = 0xffffffff;
+    shingles.forEach(shingle => {
+      const value = mix(shingle ^ seed);
+      if (value < min) min = value;
+    });
+    return min;
+  });
+  return { tokens: tokens.length, minhash };
+}
+
+// Node types in source order; names and values are dropped, operators kept
+function collectTokens(node, tokens) {
+  if (node.type.startsWith('TS')) {
+    // `x as T` and `x!` keep their expression
+    if (node.expression) collectTokens(node.expression, tokens);
+    return;
+  }
+  tokens.push(/Literal$/.test(node.type) || node.type === 'JSXText' ? 'Literal' : `${node.type}${node.operator || ''}`);
+  Object.keys(node).forEach(key => {
+    if (SKIPPED_KEYS.has(key)) return;
+    [].concat(node[key]).forEach(child => {
+      if (child && typeof child.type === 'string') collectTokens(child, tokens);
+    });
+  });
+}
+
+// Estimated share of 4-grams two fingerprints have in common, 0-1
+function similarity(a, b) {
+  let equal = 0;
+  for (let i = 0; i < MINHASH_SIZE; i++) {
+    if (a.minhash[i] === b.minhash[i]) equal++;
+  }
+  return equal / MINHASH_SIZE;
+}
+
+// Clusters of similar symbols ({ file, name, kind, fingerprint }), most similar first.
+// Symbols are grouped once per band, so every member of a group is that similar to every other;
+// a looser band only adds a group when it gains members, so near-copies stay visible.
+function findDuplicates(symbols) {
+  const candidates = symbols.filter(symbol => symbol.fingerprint)
+    .sort((a, b) => a.fingerprint.tokens - b.fingerprint.tokens);
+  const scores = new Map();
+  const pairs = [];
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      // Sets this different in size can't reach the lowest band
+      if (candidates[i].fingerprint.tokens / candidates[j].fingerprint.tokens < MIN_SIMILARITY) break;
+      const score = similarity(candidates[i].fingerprint, candidates[j].fingerprint);
+      if (score < MIN_SIMILARITY) continue;
+      scores.set(`${i} ${j}`, score);
+      pairs.push({ i, j, score });
+    }
+  }
+  pairs.sort((a, b) => b.score - a.score);
+  const score = (a, b) => scores.get(a < b ? `${a} ${b}` : `${b} ${a}`) || 0;
+
+  const seen = new Set();
+  const clusters = [];
+  TIERS.forEach(({ tier, min }) => {
+    groupPairs(candidates.length, pairs.filter(pair => pair.score >= min), score, min).forEach(members => {
+      const key = members.slice().sort((a, b) => a - b).join(' ');
+      if (seen.has(key)) return;
+      seen.add(key);
+      const lowest = Math.min(...members.flatMap(a => members.filter(b => b !== a).map(b => score(a, b))));
+      clusters.push({
+        similarity: Math.round(lowest * 100),
+        tier,
+        members: members
+          .map(i => ({ file: candidates[i].file, name: candidates[i].name, type: candidates[i].kind }))
+          .sort((a, b) => a.file.localeCompare(b.file) || a.name.localeCompare(b.name))
+      });
+    });
+  });
+  return clusters.sort((a, b) => b.similarity - a.similarity || a.members[0].file.localeCompare(b.members[0].file));
+}
+
+// Groups of two or more, merged best pair first while every cross pair reaches min
+function groupPairs(count, pairs, score, min) {
+  const groupOf = Array.from({ length: count }, (_, i) => [i]);
+  pairs.forEach(({ i, j }) => {
+    const [first, second] = [groupOf[i], groupOf[j]];
+    if (first === second || !first.every(a => second.every(b => score(a, b) >= min))) return;
+    first.push(...second);
+    second.forEach(member => {
+      groupOf[member] = first;
+    });
+  });
+  return [...new Set(groupOf)].filter(group => group.length > 1);
+}
+
+// 32-bit FNV-1a
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// MurmurHash3 finalizer; with a per-slot seed it stands in for an independent hash function
+function mix(value) {
+  let hash = value >>> 0;
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+module.exports = { fingerprint, findDuplicates, similarity };
@@ -0,0 +1,393 @@
+/**
+ * Compact emitter: importance-ranked index degraded to fit a token budget, used by Claude Code
+ */
+
+const path = require('path');
+const { isSourceFile } = require('../project');
+const { TYPE_KINDS } = require('../analyzer');
+const { describeViolation } = require('../layers');
+
+const MAX_FILE_SIZE = 10000; // Default maxFileSize: very large files are usually generated or data
+const DEFAULT_MAX_TOKENS = 35000; // Leave buffer for Claude Code context
+
+// Relative weight of each importance signal when ranking files for the budget
+const PRIORITY_WEIGHTS = {
+  entryPoint: 5, // Route pages, layouts, API handlers
+  importer: 2, // Per project file importing it
+  exportCount: 0.5, // Per export, capped at 10
+  churn: 1.5 // Per log2(commits in the git window)
+};
+
+// Without the tokenizer, sizes are estimated as length / 3. Code-heavy JSON can take noticeably more
+// tokens than that, so only this share of the budget is filled.
+const ESTIMATED_BUDGET_SHARE = 0.75;
+
+// Anthropic's legacy BPE tokenizer, bundled offline. Current Claude models tokenize differently, so its
+// counts are approximate too, just closer than the estimate. The generator still runs without it, on a
+// smaller budget. Loaded once, since a workspace creates one emitter per package.
+let tokenizer;
+function loadTokenizer() {
+  if (tokenizer !== undefined) return tokenizer;
+  try {
+    const { getTokenizer } = require('@anthropic-ai/tokenizer');
+    const encoder = getTokenizer();
+    tokenizer = text => encoder.encode(text.normalize('NFKC'), 'all').length;
+  } catch (e) {
+    console.warn('\n⚠️  @anthropic-ai/tokenizer is not installed: token counts are ESTIMATED from character count.');
+    console.warn(`⚠️  Only ${ESTIMATED_BUDGET_SHARE * 100}% of the token budget is filled to stay under it. ` +
+      'Run "npm install @anthropic-ai/tokenizer" for closer counts.\n');
+    tokenizer = null;
+  }
+  return tokenizer;
+}
+
+class CompactEmitter {
+  constructor(model, options = {}) {
+    this.model = model;
+    this.options = { maxTokens: DEFAULT_MAX_TOKENS, ...options };
+    this.tokenizer = loadTokenizer();
+    this.ranking = []; // Candidate files, most important first
+    this.scores = {};
+    this.tokens = 0;
+  }
+
+  countTokens(text) {
+    return this.tokenizer ? this.tokenizer(text) : Math.ceil(text.length / 3);
+  }
+
+  estimateTokens(obj) {
+    // Measure the same indented JSON that is written to disk
+    return this.countTokens(JSON.stringify(obj, null, 2) || '');
+  }
+
+  emit() {
+    const model = this.model;
+    this.index = {
+      meta: {
+        generated: new Date().toISOString(),
+        framework: model.adapter.label()
+      },
+      structure: this.emitStructure(),
+      modules: {},
+      exports: {},
+      dependencies: {}, // file -> internal files it imports
+      patterns: {}
+    };
+
+    this.boundaries = model.boundaries();
+
+    // Most important files go first; fitToBudget trims from the other end
+    const candidates = this.candidates();
+    this.ranking = this.rankFiles(candidates);
+    this.ranking.forEach(file => {
+      this.index.modules[file] = this.emitModule(file);
+      Object.assign(this.index.exports, this.emitExports(file));
+    });
+    console.log(`📊 Analyzed ${this.ranking.length} of ${Object.keys(model.files).length} files by priority`);
+
+    this.emitDependencies();
+
+    console.log('🏗️ Detecting architectural patterns...');
+    this.index.patterns = model.adapter.summarizeStack();
+    const config = model.frameworkConfig();
+    if (config) this.index.config = config;
+    if (this.boundaries?.warnings.length > 0) this.index.boundaryWarnings = this.boundaries.warnings;
+    const layerViolations = model.layerViolations();
+    if (layerViolations?.length > 0) this.index.layerViolations = layerViolations;
+
+    this.fitToBudget();
+    this.tokens = this.estimateTokens(this.index);
+    return this.index;
+  }
+
+  emitStructure() {
+    console.log('📁 Analyzing project structure...');
+
+    const { project, adapter } = this.model;
+    const structure = {};
+    this.model.sourceDirectories().forEach(dir => {
+      if (!project.exists(dir)) return;
+      const files = project.getSourceFiles(path.join(project.root, dir));
+      if (files.length === 0) return;
+
+      const types = {};
+      files.forEach(file => {
+        const ext = path.extname(file);
+        types[ext] = (types[ext] || 0) + 1;
+      });
+      structure[dir] = { files: files.length, types, purpose: adapter.folderPurpose(path.basename(dir)) };
+    });
+    return structure;
+  }
+
+  candidates() {
+    const model = this.model;
+    return Object.keys(model.files).filter(file => isSourceFile(file) && model.isWithinSizeLimit(file, MAX_FILE_SIZE));
+  }
+
+  emitModule(file) {
+    const fileModel = this.model.files[file];
+    const external = fileModel.imports
+      .map(imp => imp.source)
+      .filter(source => this.model.isExternalImport(source));
+    const entry = {
+      type: this.model.adapter.classifyFile(file, fileModel),
+      exports: this.model.getExports(file).slice(0, 10),
+      imports: [...new Set(external)].slice(0, 10),
+      features: fileModel.features
+    };
+    if (Object.keys(fileModel.config).length > 0) entry.config = fileModel.config;
+    // Server is the App Router default, so only the other sides are spelled out
+    const boundary = this.boundaries?.modules[file];
+    if (boundary && boundary !== 'server') entry.boundary = boundary;
+    return entry;
+  }
+
+  emitExports(file) {
+    const exports = {};
+    this.model.files[file].symbols
+      .filter(symbol => symbol.exported)
+      .forEach(symbol => {
+        const entry = exports[`${file}:${symbol.name}`] = { name: symbol.name, type: symbol.kind };
+        if (!TYPE_KINDS.includes(symbol.kind)) entry.params = symbol.params.length;
+        const props = this.model.resolveProps(file, symbol);
+        if (props) entry.props = props;
+      });
+    return exports;
+  }
+
+  emitDependencies() {
+    const included = new Set(Object.keys(this.index.modules));
+    const dependencies = {};
+    // Barrel shortcuts (edges with via) are left out; the export keys already name the defining file
+    this.model.dependencies.edges
+      .filter(edge => included.has(edge.from) && !edge.via)
+      .forEach(edge => {
+        (dependencies[edge.from] = dependencies[edge.from] || []).push(edge.to);
+      });
+    // Files of other workspace packages are named as <package>/<file>
+    (this.model.dependencies.packages || [])
+      .filter(edge => included.has(edge.from))
+      .forEach(edge => {
+        (dependencies[edge.from] = dependencies[edge.from] || []).push(`${edge.package}/${edge.to}`);
+      });
+    this.index.dependencies = Object.fromEntries(Object.entries(dependencies).sort(([a], [b]) => a.localeCompare(b)));
+  }
+
+  rankFiles(files) {
+    const { adapter, dependencies, git } = this.model;
+
+    const importers = {};
+    dependencies.edges.forEach(edge => {
+      importers[edge.to] = (importers[edge.to] || 0) + 1;
+    });
+
+    const scores = this.scores = {};
+    files.forEach(file => {
+      const fileModel = this.model.files[file];
+      const exportCount = new Set([
+        ...this.model.getExports(file),
+        ...fileModel.symbols.filter(symbol => symbol.exported).map(symbol => symbol.name)
+      ]).size;
+      const churn = git?.files[file]?.commits || 0;
+      scores[file] =
+        (adapter.isEntryPoint(file) ? PRIORITY_WEIGHTS.entryPoint : 0) +
+        (importers[file] || 0) * PRIORITY_WEIGHTS.importer +
+        Math.min(exportCount, 10) * PRIORITY_WEIGHTS.exportCount +
+        Math.log2(1 + churn) * PRIORITY_WEIGHTS.churn;
+    });
+
+    return [...files].sort((a, b) => scores[b] - scores[a] || a.localeCompare(b));
+  }
+
+  fitToBudget() {
+    const maxTokens = this.tokenizer ? this.options.maxTokens : Math.floor(this.options.maxTokens * ESTIMATED_BUDGET_SHARE);
+    let tokens = this.estimateTokens(this.index);
+    if (tokens <= maxTokens) return;
+
+    // Reserved up front so its own size counts against the budget
+    const detail = this.index.meta.detail = { importsDropped: 0, summarized: [], counted: [] };
+    const leastImportantFirst = [...this.ranking].reverse().filter(file => this.index.modules[file]);
+
+    // Stage 1: drop import lists, least important files first
+    for (const file of leastImportantFirst) {
+      if (tokens <= maxTokens) break;
+      const entry = this.index.modules[file];
+      if (!entry.imports || entry.imports.length === 0) continue;
+      const before = this.estimateTokens(entry);
+      delete entry.imports;
+      tokens -= before - this.estimateTokens(entry);
+      detail.importsDropped++;
+    }
+
+    // Stage 2: collapse whole directories into export-name summaries
+    tokens = this.estimateTokens(this.index);
+    const directories = this.rankDirectories(leastImportantFirst);
+    this.index.summaries = {};
+    for (const dir of directories) {
+      if (tokens <= maxTokens) break;
+      tokens -= this.summarizeDirectory(dir);
+      detail.summarized.push(dir);
+    }
+
+    // Stage 3: reduce summaries to bare counts
+    tokens = this.estimateTokens(this.index);
+    for (const dir of detail.summarized) {
+      if (tokens <= maxTokens) break;
+      const summary = this.index.summaries[dir];
+      const before = this.estimateTokens({ [dir]: summary });
+      this.index.summaries[dir] = { files: summary.files, exports: summary.exports.length };
+      tokens -= before - this.estimateTokens({ [dir]: this.index.summaries[dir] });
+      detail.counted.push(dir);
+    }
+
+    if (detail.summarized.length === 0) delete this.index.summaries;
+    const summarizedCount = detail.summarized.length;
+    detail.summarized = detail.summarized.filter(dir => !detail.counted.includes(dir));
+
+    console.log(`📉 Over budget: dropped imports for ${detail.importsDropped} files, ` +
+      `summarized ${summarizedCount} directories, reduced ${detail.counted.length} to counts`);
+    if (this.estimateTokens(this.index) > maxTokens) {
+      console.warn(`⚠️ Index still exceeds the ${maxTokens} token budget after summarizing everything`);
+    }
+  }
+
+  rankDirectories(leastImportantFirst) {
+    // A directory is as important as its best file
+    const best = {};
+    leastImportantFirst.forEach(file => {
+      const dir = path.dirname(file);
+      best[dir] = Math.max(best[dir] ?? -Infinity, this.scores[file] || 0);
+    });
+    return Object.keys(best).sort((a, b) => best[a] - best[b] || b.localeCompare(a));
+  }
+
+  summarizeDirectory(dir) {
+    const files = Object.keys(this.index.modules).filter(file => path.dirname(file) === dir);
+    const exportKeys = Object.keys(this.index.exports).filter(key => files.includes(key.slice(0, key.lastIndexOf(':'))));
+    const removed = {
+      modules: files.map(file => this.index.modules[file]),
+      exports: exportKeys.map(key => this.index.exports[key]),
+      dependencies: files.map(file => this.index.dependencies[file]).filter(Boolean)
+    };
+
+    const exportNames = new Set();
+    files.forEach(file => {
+      this.index.modules[file].exports.forEach(name => exportNames.add(name));
+      delete this.index.modules[file];
+      delete this.index.dependencies[file];
+    });
+    exportKeys.forEach(key => {
+      exportNames.add(this.index.exports[key].name);
+      delete this.index.exports[key];
+    });
+
+    const summary = { files: files.length, exports: [...exportNames] };
+    this.index.summaries[dir] = summary;
+    return this.estimateTokens(removed) - this.estimateTokens({ [dir]: summary });
+  }
+
+  format(index) {
+    let content = `# Codebase Index\n\n`;
+
+    content += `**Generated:** ${index.meta.generated}\n`;
+    content += `**Framework:** ${index.meta.framework}\n`;
+    content += `**Size:** ~${this.tokens} tokens (${this.tokenizer ? 'approximate, legacy Claude tokenizer' : 'estimated from character count'})\n\n`;
+
+    // Project Structure
+    if (Object.keys(index.structure).length > 0) {
+      content += `## Project Structure\n\n`;
+      Object.entries(index.structure).forEach(([dir, info]) => {
+        content += `- **${dir}**: ${info.purpose} (${info.files} files)\n`;
+      });
+      content += '\n';
+    }
+
+    // Architectural Patterns
+    content += `## Architecture\n\n`;
+    Object.entries(index.patterns).forEach(([pattern, value]) => {
+      const status = typeof value === 'boolean' ? (value ? '✅' : '❌') : value;
+      content += `- **${pattern}**: ${status}\n`;
+    });
+    if (index.config?.middleware) {
+      const { file, matcher } = index.config.middleware;
+      content += `- **middleware**: ${file} (${Array.isArray(matcher) ? `${matcher.length} matchers` : matcher ? 'dynamic matcher' : 'all routes'})\n`;
+    }
+    if (index.config?.nextConfig) {
+      const settings = Object.keys(index.config.nextConfig).filter(key => key !== 'file');
+      content += `- **${index.config.nextConfig.file}**: ${settings.join(', ') || 'defaults'}\n`;
+    }
+    content += '\n';
+
+    // Client/server boundary problems
+    if (index.boundaryWarnings) {
+      content += `## Boundary Warnings (${index.boundaryWarnings.length})\n\n`;
+      index.boundaryWarnings.forEach(warning => {
+        const names = warning.names?.length > 0 ? ` (${warning.names.join(', ')})` : '';
+        content += `- ⚠️ **${warning.file}** imports \`${warning.import}\`${names}: ${warning.reason}${warning.via ? ` via ${warning.via}` : ''}\n`;
+      });
+      content += '\n';
+    }
+
+    // Imports breaking .codeindexrc layer rules
+    if (index.layerViolations) {
+      content += `## Layer Violations (${index.layerViolations.length})\n\n`;
+      index.layerViolations.forEach(violation => {
+        content += `- ⚠️ ${describeViolation(violation)}\n`;
+      });
+      content += '\n';
+    }
+
+    // Key Modules
+    const moduleCount = Object.keys(index.modules).length;
+    if (moduleCount > 0) {
+      content += `## Key Modules (${moduleCount})\n\n`;
+      Object.entries(index.modules).forEach(([file, info]) => {
+        if (info.exports.length > 0) {
+          content += `- **${file}**: ${info.type}${info.boundary ? ` (${info.boundary})` : ''} - exports ${info.exports.join(', ')}\n`;
+        }
+      });
+      if (index.meta.detail?.importsDropped > 0) {
+        content += `\n_Import lists omitted for ${index.meta.detail.importsDropped} modules to fit the token budget._\n`;
+      }
+      content += '\n';
+    }
+
+    // Directories collapsed to fit the budget
+    if (index.summaries) {
+      content += `## Summarized Directories (${Object.keys(index.summaries).length})\n\n`;
+      Object.entries(index.summaries).forEach(([dir, info]) => {
+        if (Array.isArray(info.exports)) {
+          content += `- **${dir}** _(summarized)_: ${info.files} files - exports ${info.exports.join(', ') || 'none'}\n`;
+        } else {
+          content += `- **${dir}** _(counts only)_: ${info.files} files, ${info.exports} exports\n`;
+        }
+      });
+      content += '\n';
+    }
+
+    // Internal Dependencies
+    const dependencyCount = Object.keys(index.dependencies).length;
+    if (dependencyCount > 0) {
+      content += `## Dependencies (${dependencyCount})\n\n`;
+      Object.entries(index.dependencies).forEach(([file, targets]) => {
+        content += `- **${file}** → ${targets.join(', ')}\n`;
+      });
+      content += '\n';
+    }
+
+    // Exported Functions/Components
+    const exportCount = Object.keys(index.exports).length;
+    if (exportCount > 0) {
+      content += `## Exports (${exportCount})\n\n`;
+      Object.values(index.exports).forEach(info => {
+        const shape = info.props ? `props: ${info.props.join(', ') || 'none'}` : info.params !== undefined ? `${info.params} params` : '';
+        content += `- **${info.name}**: ${info.type}${shape ? ` (${shape})` : ''}\n`;
+      });
+    }
+
+    return content;
+  }
+}
+
+module.exports = { CompactEmitter, DEFAULT_MAX_TOKENS };
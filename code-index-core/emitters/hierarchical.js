@@ -0,0 +1,574 @@
+/**
+ * Hierarchical emitter: level1-4 index with architectural data, used by the Cursor rules
+ */
+
+const path = require('path');
+const { topAuthors } = require('../git');
+const { formatValue } = require('../static-value');
+const { describeViolation } = require('../layers');
+const { summarizeFile } = require('../complexity');
+
+const AUTO_EXPAND_MIN_IMPORTERS = 2;
+const AUTO_EXPAND_MAX_LINES = 60; // Keep auto-expanded snippets small enough to paste into context
+
+class HierarchicalEmitter {
+  constructor(model, options = {}) {
+    this.model = model;
+    this.options = { expand: [], autoExpand: 5, ...options };
+  }
+
+  emit(level4 = {}) {
+    const model = this.model;
+    this.index = {
+      metadata: {
+        projectPath: model.projectPath,
+        generatedAt: new Date().toISOString(),
+        framework: model.adapter.label(),
+        nextjsVersion: model.project.packageVersion('next') || 'unknown'
+      },
+      level1: this.emitLevel1(), // Project structure
+      level2: {}, // Module summaries
+      level3: {}, // Function/component signatures
+      level4, // Implementation details (populated on demand)
+      architectural: {
+        dependencies: model.dependencies, // Resolved file-to-file import edges
+        patterns: {},
+        routes: {}
+      }
+    };
+
+    Object.keys(model.files).sort().filter(file => model.isWithinSizeLimit(file)).forEach(file => {
+      this.index.level2[file] = this.emitModule(file, model.files[file]);
+      Object.assign(this.index.level3, this.emitSymbols(file, model.files[file]));
+    });
+    this.applyGitMetadata();
+
+    console.log('🏗️  Analyzing architectural patterns...');
+    this.index.architectural.patterns = model.adapter.detectPatterns();
+
+    console.log('⚙️  Reading framework configuration...');
+    Object.assign(this.index.architectural, model.frameworkConfig());
+
+    console.log('🛣️  Analyzing routes...');
+    this.index.architectural.routes = model.routes();
+
+    const boundaries = model.boundaries();
+    if (boundaries) {
+      console.log('🧭 Mapping client/server boundaries...');
+      Object.entries(boundaries.modules).forEach(([file, boundary]) => {
+        if (this.index.level2[file]) this.index.level2[file].boundary = boundary;
+      });
+      this.index.architectural.boundaries = {
+        client: Object.keys(boundaries.modules).filter(file => model.files[file].directives.includes('use client')),
+        serverActions: Object.keys(boundaries.modules).filter(file => boundaries.modules[file] === 'server-actions'),
+        warnings: boundaries.warnings
+      };
+    }
+
+    const layerViolations = model.layerViolations();
+    if (layerViolations) {
+      console.log(`🧱 Checked ${model.config.layers.length} layer rules: ${layerViolations.length} violations`);
+      this.index.architectural.layerViolations = layerViolations;
+    }
+
+    const cycles = model.cycles();
+    if (cycles) {
+      console.log(`🔁 Found ${cycles.length} import cycles`);
+      this.index.architectural.cycles = cycles;
+    }
+
+    const usage = model.usage();
+    if (usage) {
+      console.log(`🪦 Found ${usage.exports.length} unused exports and ${usage.files.length} unreachable files`);
+      usage.exports.forEach(entry => {
+        const symbol = this.index.level3[`${entry.file}:${entry.name}`];
+        if (symbol) symbol.unused = true;
+      });
+      usage.files.forEach(file => {
+        if (this.index.level2[file]) this.index.level2[file].unreachable = true;
+      });
+      this.index.architectural.unused = usage;
+    }
+
+    const duplicates = model.duplicates();
+    if (duplicates) {
+      console.log(`🧬 Found ${duplicates.length} clusters of near-duplicate code`);
+      this.index.architectural.duplicates = duplicates;
+    }
+
+    this.index.architectural.complexityHotspots = model.complexityHotspots();
+    console.log(`🌡️  Found ${this.index.architectural.complexityHotspots.length} complexity hotspots`);
+
+    this.populateLevel4();
+    return this.index;
+  }
+
+  emitLevel1() {
+    console.log('📁 Analyzing project structure (recursive in critical dirs)...');
+
+    const { project, adapter } = this.model;
+    const level1 = {};
+
+    this.model.sourceDirectories().forEach(baseDir => {
+      if (!project.exists(baseDir)) return;
+      // Recursively find all subdirectories (including baseDir itself)
+      project.getDirs(path.join(project.root, baseDir)).forEach(dirPath => {
+        const relPath = project.relative(dirPath);
+        if (level1[relPath]) return;
+        const folderName = path.basename(dirPath);
+        level1[relPath] = {
+          purpose: adapter.folderPurpose(folderName),
+          ...this.analyzeDirStats(dirPath),
+          type: adapter.folderType(folderName)
+        };
+      });
+    });
+    return level1;
+  }
+
+  analyzeDirStats(dirPath) {
+    const files = this.model.project.getFiles(dirPath);
+    const extensions = {};
+
+    files.forEach(file => {
+      const ext = path.extname(file);
+      extensions[ext] = (extensions[ext] || 0) + 1;
+    });
+
+    const lastChanges = files.map(file => new Date(this.model.getLastChange(this.model.project.relative(file))));
+    const stats = {
+      fileCount: files.length,
+      extensions,
+      lastModified: files.length > 0 ? new Date(Math.max(...lastChanges)).toISOString() : new Date().toISOString()
+    };
+
+    const history = this.model.git?.dirs[this.model.project.relative(dirPath)];
+    if (history) {
+      stats.commits = history.commits;
+      stats.authors = topAuthors(history.authors);
+    }
+    return stats;
+  }
+
+  emitModule(file, fileModel) {
+    const adapter = this.model.adapter;
+    const info = {
+      purpose: adapter.filePurpose(file, fileModel),
+      type: adapter.classifyFile(file, fileModel),
+      imports: [...new Set(fileModel.imports.map(imp => imp.source))],
+      exports: this.model.getExports(file),
+      complexity: summarizeFile(fileModel),
+      nextjsFeatures: fileModel.features,
+      lastModified: this.model.getLastChange(file)
+    };
+    if (Object.keys(fileModel.config).length > 0) info.segmentConfig = fileModel.config;
+    const reexports = this.model.getReexports(file);
+    if (Object.keys(reexports).length > 0) info.reexports = reexports;
+    return info;
+  }
+
+  emitSymbols(file, fileModel) {
+    const level3 = {};
+    fileModel.symbols.forEach(symbol => {
+      const entry = level3[`${file}:${symbol.name}`] = {
+        name: symbol.name,
+        signature: formatSignature(symbol),
+        type: symbol.kind,
+        file,
+        exported: symbol.exported,
+        async: symbol.async
+      };
+      const props = this.model.resolveProps(file, symbol);
+      if (props) entry.props = props;
+      if (symbol.complexity) entry.complexity = symbol.complexity;
+    });
+    return level3;
+  }
+
+  applyGitMetadata() {
+    const git = this.model.git;
+    if (!git) return;
+
+    Object.entries(this.index.level2).forEach(([file, info]) => {
+      const history = git.files[file];
+      info.commits = history ? history.commits : 0;
+      info.authors = history ? topAuthors(history.authors) : [];
+    });
+
+    // Most-changed source files within the window
+    this.index.architectural.hotFiles = Object.entries(this.index.level2)
+      .filter(([, info]) => info.commits > 0)
+      .sort((a, b) => b[1].commits - a[1].commits || a[0].localeCompare(b[0]))
+      .slice(0, 10)
+      .map(([file, info]) => ({
+        file,
+        commits: info.commits,
+        lastModified: info.lastModified,
+        authors: info.authors
+      }));
+  }
+
+  populateLevel4() {
+    const level4 = this.index.level4;
+    let refreshed = 0;
+    let dropped = 0;
+
+    // Invalidate snippets whose file changed since they were extracted
+    Object.entries(level4).forEach(([key, entry]) => {
+      if (!entry || !entry.hash) return; // Hand-written entries are left alone
+      const hash = this.model.hashes[entry.file];
+      if (hash === entry.hash) return;
+      const snippet = hash ? this.model.extractSymbol(entry.file, entry.symbol) : null;
+      if (snippet) {
+        level4[key] = { ...snippet, reason: entry.reason };
+        refreshed++;
+      } else {
+        delete level4[key];
+        dropped++;
+      }
+    });
+
+    this.options.expand.forEach(target => {
+      const { file, symbol } = this.model.resolveTarget(target);
+      if (!symbol) throw new Error(`--expand needs <file>:<symbol>, got "${target}"`);
+      const snippet = this.model.extractSymbol(file, symbol);
+      if (!snippet) throw new Error(`Symbol "${symbol}" not found in ${file}`);
+      level4[`${file}:${symbol}`] = { ...snippet, reason: 'manual' };
+      console.log(`🔎 Expanded ${file}:${symbol} into level4`);
+    });
+
+    // Auto-expanded entries are recomputed every run so they follow actual usage
+    Object.keys(level4).forEach(key => {
+      if (level4[key]?.reason === 'auto') delete level4[key];
+    });
+    this.selectAutoExpandCandidates().forEach(({ file, symbol }) => {
+      const key = `${file}:${symbol}`;
+      if (level4[key]) return;
+      const snippet = this.model.extractSymbol(file, symbol);
+      if (snippet && snippet.lines.end - snippet.lines.start < AUTO_EXPAND_MAX_LINES) {
+        level4[key] = { ...snippet, reason: 'auto' };
+      }
+    });
+
+    if (refreshed + dropped > 0) {
+      console.log(`🧩 Level 4: refreshed ${refreshed} snippets, dropped ${dropped} stale ones`);
+    }
+  }
+
+  selectAutoExpandCandidates() {
+    if (!this.options.autoExpand || !this.model.isEnabled('snippets')) return [];
+
+    const importers = {};
+    this.model.dependencies.edges.forEach(edge => {
+      edge.names.forEach(name => {
+        const key = `${edge.to}:${name}`;
+        importers[key] = (importers[key] || 0) + 1;
+      });
+    });
+
+    // Reusable helpers only; components and pages are better read whole
+    return Object.entries(this.index.level3)
+      .filter(([key, entry]) => entry.exported && ['function', 'hook'].includes(entry.type) &&
+        (importers[key] || 0) >= AUTO_EXPAND_MIN_IMPORTERS)
+      .sort((a, b) => importers[b[0]] - importers[a[0]] || a[0].localeCompare(b[0]))
+      .slice(0, this.options.autoExpand)
+      .map(([, entry]) => ({ file: entry.file, symbol: entry.name }));
+  }
+
+  format(index) {
+    let content = '# Codebase Index\n\n';
+
+    content += `**Generated:** ${index.metadata.generatedAt}\n`;
+    content += `**Framework:** ${index.metadata.framework}\n\n`;
+
+    content += '## Level 1 - Project Structure\n';
+    Object.entries(index.level1).forEach(([dir, info]) => {
+      content += `- **${dir}**: ${info.purpose} (${info.fileCount} files)\n`;
+    });
+
+    content += '\n## Architectural Patterns\n';
+    Object.entries(index.architectural.patterns).forEach(([pattern, enabled]) => {
+      const status = enabled ? '✅' : '❌';
+      content += `- **${pattern}**: ${status}\n`;
+    });
+
+    if (index.architectural.hotFiles?.length > 0) {
+      content += `\n## Hot Files (last ${this.model.options.gitWindowDays} days)\n`;
+      index.architectural.hotFiles.forEach(hot => {
+        content += `- **${hot.file}**: ${hot.commits} commits, last changed ${hot.lastModified.slice(0, 10)}`;
+        content += hot.authors.length > 0 ? ` by ${hot.authors.join(', ')}\n` : '\n';
+      });
+    }
+
+    if (index.architectural.complexityHotspots?.length > 0) {
+      content += '\n## Complexity Hotspots\n';
+      index.architectural.complexityHotspots.forEach(hotspot => {
+        content += `- **${hotspot.file}:${hotspot.name}** (${hotspot.type}): ${describeComplexity(hotspot)}\n`;
+      });
+    }
+
+    const { middleware, nextConfig } = index.architectural;
+    if (middleware || nextConfig) {
+      content += '\n## Middleware & Config\n';
+      if (middleware) {
+        const matchers = Array.isArray(middleware.matcher)
+          ? middleware.matcher.map(matcher => `${formatValue(matcher.source)}${matcher.conditional ? ' (conditional)' : ''}`).join(', ')
+          : middleware.matcher ? formatValue(middleware.matcher) : 'all routes';
+        content += `- **Middleware**: ${middleware.file} runs on ${escapeMarkdown(matchers)}\n`;
+      }
+      if (nextConfig) {
+        content += `- **Config file**: ${nextConfig.file}\n`;
+        Object.entries(nextConfig).filter(([key]) => key !== 'file').forEach(([key, value]) => {
+          content += `- **${key}**: ${escapeMarkdown(formatSetting(value))}\n`;
+        });
+      }
+    }
+
+    if (Object.keys(index.architectural.routes).length > 0) {
+      content += '\n## Routes\n';
+      Object.entries(index.architectural.routes).forEach(([routerType, routes]) => {
+        content += `\n### ${routerType.toUpperCase()} Router\n`;
+        routes.forEach(route => {
+          content += `- **${escapeMarkdown(route.path)}**: ${route.file} (${describeRoute(route)})\n`;
+          const chain = Object.entries(route.chain || {}).map(([kind, files]) => `${kind} ${files.join(' → ')}`);
+          if (chain.length > 0) content += `  - Wrapped by: ${chain.join('; ')}\n`;
+        });
+      });
+    }
+
+    const boundaries = index.architectural.boundaries;
+    if (boundaries) {
+      content += '\n## Client/Server Boundary\n';
+      content += `- **Client boundaries ('use client')**: ${boundaries.client.join(', ') || 'none'}\n`;
+      content += `- **Server actions ('use server')**: ${boundaries.serverActions.join(', ') || 'none'}\n`;
+      boundaries.warnings.forEach(warning => {
+        content += `- ⚠️ ${describeBoundaryWarning(warning)}\n`;
+      });
+    }
+
+    if (index.architectural.layerViolations?.length > 0) {
+      content += '\n## Layer Violations\n';
+      index.architectural.layerViolations.forEach(violation => {
+        content += `- ⚠️ ${describeViolation(violation)}\n`;
+      });
+    }
+
+    const cycles = index.architectural.cycles || [];
+    if (cycles.length > 0) {
+      content += '\n## Circular Dependencies\n';
+      const groups = [
+        ['Across the client/server boundary', cycles.filter(cycle => cycle.crossesBoundary)],
+        ['Through barrel files', cycles.filter(cycle => !cycle.crossesBoundary && cycle.barrels.length > 0)],
+        ['Other cycles', cycles.filter(cycle => !cycle.crossesBoundary && cycle.barrels.length === 0)]
+      ];
+      groups.filter(([, list]) => list.length > 0).forEach(([title, list]) => {
+        content += `\n### ${title} (${list.length})\n`;
+        list.forEach(cycle => {
+          content += `- ${[...cycle.files, cycle.files[0]].join(' → ')}\n`;
+        });
+      });
+    }
+
+    const unused = index.architectural.unused;
+    if (unused && (unused.exports.length > 0 || unused.files.length > 0)) {
+      content += `\n${formatUnused(unused, '##')}`;
+    }
+
+    if (index.architectural.duplicates?.length > 0) {
+      content += '\n## Near-Duplicate Code\n';
+      index.architectural.duplicates.forEach(cluster => {
+        const members = cluster.members.map(member => `${member.file}:${member.name}`).join(', ');
+        content += `- **${cluster.similarity}% ${cluster.tier}**: ${members}\n`;
+      });
+    }
+
+    const edges = index.architectural.dependencies.edges || [];
+    content += '\n## Level 2 - Module Summaries\n';
+    Object.entries(index.level2).forEach(([file, info]) => {
+      content += `- **${file}**: ${info.purpose}${info.boundary ? ` [${info.boundary}]` : ''}${info.unreachable ? ' [UNREACHABLE]' : ''}\n`;
+      if (info.exports.length > 0) {
+        content += `  - Exports: ${info.exports.join(', ')}\n`;
+      }
+      const dependencies = edges.filter(edge => edge.from === file && !edge.via).map(edge => edge.to);
+      // Files of other workspace packages are named as <package>/<file>
+      (index.architectural.dependencies.packages || [])
+        .filter(edge => edge.from === file)
+        .forEach(edge => dependencies.push(`${edge.package}/${edge.to}`));
+      if (dependencies.length > 0) {
+        content += `  - Depends on: ${dependencies.join(', ')}\n`;
+      }
+      if (info.reexports) {
+        content += `  - Re-exports: ${Object.entries(info.reexports).map(([name, origin]) => `${name} → ${origin}`).join(', ')}\n`;
+      }
+      if (info.nextjsFeatures.length > 0) {
+        content += `  - Next.js Features: ${info.nextjsFeatures.join(', ')}\n`;
+      }
+      if (info.segmentConfig) {
+        content += `  - Segment Config: ${formatConfig(info.segmentConfig)}\n`;
+      }
+    });
+
+    content += '\n## Level 3 - Function Signatures\n';
+    Object.values(index.level3).forEach(info => {
+      content += `- **${info.name}**: \`${info.signature}\` (${info.type}) ${info.exported ? '[EXPORTED]' : ''}${info.unused ? ' [UNUSED]' : ''}\n`;
+      if (info.props?.length > 0) content += `  - Props: ${info.props.join(', ')}\n`;
+    });
+
+    const expanded = Object.entries(index.level4).filter(([, info]) => info && info.code);
+    if (expanded.length > 0) {
+      content += '\n## Level 4 - Implementation Snippets\n';
+      expanded.forEach(([key, info]) => {
+        content += `- **${key}**: lines ${info.lines.start}-${info.lines.end} (${info.reason}) - see \`level4\` in codebase-index.json\n`;
+      });
+    }
+
+    return content;
+  }
+}
+
+function formatSignature(symbol) {
+  const members = () => symbol.members.map(member => {
+    const name = `${member.name}${member.optional ? '?' : ''}`;
+    if (member.method) return `${name}${member.type}`;
+    return member.type ? `${name}${symbol.kind === 'enum' ? ' =' : ':'} ${member.type}` : name;
+  });
+  switch (symbol.kind) {
+    case 'interface': {
+      const heritage = symbol.extends.length > 0 ? ` extends ${symbol.extends.join(', ')}` : '';
+      return `interface ${symbol.name}${heritage} { ${members().join('; ')} }`;
+    }
+    case 'type':
+      return `type ${symbol.name} = ${symbol.definition}`;
+    case 'enum':
+      return `enum ${symbol.name} { ${members().join(', ')} }`;
+    case 'class': {
+      const heritage = symbol.extends.length > 0 ? ` extends ${symbol.extends.join(', ')}` : '';
+      const constructor = symbol.params.length > 0 ? [`constructor(${symbol.params.join(', ')})`] : [];
+      return `class ${symbol.name}${heritage} { ${[...constructor, ...members()].join('; ')} }`;
+    }
+    default: {
+      const returns = symbol.returns ? `: ${symbol.returns}` : symbol.async ? ': Promise' : '';
+      return `${symbol.name}(${symbol.params.join(', ')})${returns}`;
+    }
+  }
+}
+
+function describeRoute(route) {
+  const details = [route.methods?.length > 0 ? `${route.type}: ${route.methods.join(', ')}` : route.type];
+  if (route.slot) details.push(`slot @${route.slot}`);
+  if (route.intercepts) details.push(`intercepts ${route.intercepts}`);
+  if (route.config) details.push(formatConfig(route.config));
+  if (route.features) details.push(...route.features);
+  if (route.inherited) {
+    const inherited = [route.inherited.config && formatConfig(route.inherited.config), ...(route.inherited.features || [])];
+    details.push(`from layouts: ${inherited.filter(Boolean).join(', ')}`);
+  }
+  if (route.middleware) details.push(route.middleware === true ? 'middleware' : `middleware (${route.middleware})`);
+  if (route.redirectedBy) details.push(`redirected by ${escapeMarkdown(route.redirectedBy.join(', '))}`);
+  if (route.rewrittenFrom) details.push(`rewritten from ${escapeMarkdown(route.rewrittenFrom.join(', '))}`);
+  return details.join(', ');
+}
+
+// Redirect, rewrite and header rules read best as source → destination lists
+function formatSetting(value) {
+  const isRuleList = list => Array.isArray(list) && list.every(rule => rule && typeof rule === 'object' && 'source' in rule);
+  const formatRules = rules => rules
+    .map(rule => `${formatValue(rule.source)}${rule.destination !== undefined ? ` → ${formatValue(rule.destination)}` : ''}`)
+    .join('; ');
+
+  if (isRuleList(value)) return formatRules(value);
+  // Rewrites split by phase
+  const phases = value && typeof value === 'object' ? Object.entries(value) : [];
+  if (phases.length > 0 && phases.every(([, rules]) => isRuleList(rules))) {
+    return phases.map(([phase, rules]) => `${phase}: ${formatRules(rules) || 'none'}`).join(' | ');
+  }
+  return formatValue(value);
+}
+
+function describeComplexity(metrics) {
+  const parts = [`cyclomatic ${metrics.cyclomatic}`, `nesting ${metrics.nesting}`, `lines ${metrics.lines}`, `params ${metrics.params}`];
+  if (metrics.jsxElements !== undefined) parts.push(`JSX elements ${metrics.jsxElements}`, `hooks ${metrics.hooks}`);
+  return parts.join(', ');
+}
+
+function describeBoundaryWarning(warning) {
+  const names = warning.names?.length > 0 ? ` (${warning.names.join(', ')})` : '';
+  const side = warning.reason === 'client-only' ? 'server module' : 'client module';
+  const via = warning.via ? `, pulled in by ${warning.via}` : '';
+  return `${warning.file}: ${side} imports ${warning.reason} \`${warning.import}\`${names}${via}`;
+}
+
+function formatConfig(config) {
+  return Object.entries(config).map(([name, value]) => `${name}=${formatValue(value)}`).join(', ');
+}
+
+// Unused exports and unreachable files under a heading of the given level
+function formatUnused(unused, heading = '#') {
+  let content = `${heading} Unused Code\n`;
+  if (unused.entryPoints === 0) content += 'No entry points found, so unreachable files are not reported.\n';
+  if (unused.exports.length === 0 && unused.files.length === 0) content += 'Every export is imported and every file is reachable.\n';
+  if (unused.exports.length > 0) {
+    content += `\n${heading}# Exports nothing imports (${unused.exports.length})\n`;
+    unused.exports.forEach(entry => {
+      content += `- **${entry.file}:${entry.name}** (${entry.type})${entry.referenced ? ' - still used inside its own file' : ''}\n`;
+    });
+  }
+  if (unused.files.length > 0) {
+    content += `\n${heading}# Files no entry point reaches (${unused.files.length})\n`;
+    unused.files.forEach(file => {
+      content += `- ${file}\n`;
+    });
+  }
+  return content;
+}
+
+// Catch-all params (:slug*) would otherwise close the surrounding bold or start emphasis
+function escapeMarkdown(text) {
+  return text.replace(/[*_]/g, '\\$&');
+}
+
+// Merges a workspace index's per-package sections into one set of levels keyed by workspace-relative
+// paths, with cross-package imports as ordinary dependency edges and patterns keyed "<package>: <pattern>"
+function flattenWorkspaceIndex(index) {
+  const view = { level2: {}, level3: {}, level4: {}, architectural: { routes: {}, patterns: {}, dependencies: { edges: [] } } };
+  const packagePaths = Object.fromEntries(index.workspace.packages.map(pkg => [pkg.name, pkg.path]));
+  const edges = view.architectural.dependencies.edges;
+
+  Object.entries(index.packages).forEach(([name, section]) => {
+    const prefix = file => path.join(packagePaths[name], file);
+    Object.entries(section.level2).forEach(([file, info]) => {
+      view.level2[prefix(file)] = info;
+    });
+    Object.values(section.level3).forEach(entry => {
+      const file = prefix(entry.file);
+      view.level3[`${file}:${entry.name}`] = { ...entry, file };
+    });
+    Object.entries(section.architectural.routes || {}).forEach(([router, routes]) => {
+      view.architectural.routes[router] = (view.architectural.routes[router] || [])
+        .concat(routes.map(route => ({
+          ...route,
+          file: prefix(route.file),
+          ...(route.chain && {
+            chain: Object.fromEntries(Object.entries(route.chain).map(([kind, files]) => [kind, files.map(prefix)]))
+          }),
+          package: name
+        })));
+    });
+    Object.entries(section.architectural.patterns || {}).forEach(([pattern, value]) => {
+      view.architectural.patterns[`${name}: ${pattern}`] = value;
+    });
+    const unused = section.architectural.unused;
+    if (unused) {
+      const merged = view.architectural.unused || (view.architectural.unused = { entryPoints: 0, exports: [], files: [] });
+      merged.entryPoints += unused.entryPoints;
+      merged.exports.push(...unused.exports.map(entry => ({ ...entry, file: prefix(entry.file) })));
+      merged.files.push(...unused.files.map(prefix));
+    }
+    const { edges: own = [], packages = [] } = section.architectural.dependencies;
+    own.forEach(edge => edges.push({ ...edge, from: prefix(edge.from), to: prefix(edge.to), ...(edge.via && { via: prefix(edge.via) }) }));
+    packages.forEach(edge => edges.push({ from: prefix(edge.from), to: path.join(packagePaths[edge.package], edge.to), names: edge.names }));
+  });
+  return view;
+}
+
+module.exports = { HierarchicalEmitter, flattenWorkspaceIndex, formatUnused };
@@ -0,0 +1,123 @@
+/**
+ * Local git history: last change, churn and authors per file and directory
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync, execFileSync } = require('child_process');
+
+const GIT_MAX_COMMITS = 5000; // Bounds history parsing on very old repositories
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function loadGitHistory(projectPath, windowDays = 90) {
+  const run = command => runGit(projectPath, command);
+
+  let output;
+  try {
+    // Records are separated by \x1e; paths are relative to projectPath
+    output = run(`git log --max-count=${GIT_MAX_COMMITS} --format=%x1e%aI%x09%aN --name-only --relative`);
+  } catch (e) {
+    return null; // Not a git repository, or no commits yet
+  }
+
+  const since = Date.now() - windowDays * DAY_MS;
+  const files = {};
+  const dirs = {};
+  const record = (map, key, date, author, inWindow) => {
+    // Log is newest first, so the first sighting is the last change
+    const entry = map[key] || (map[key] = { lastCommit: date, commits: 0, authors: {} });
+    if (inWindow) entry.commits++;
+    entry.authors[author] = (entry.authors[author] || 0) + 1;
+  };
+
+  output.split('\x1e').filter(Boolean).forEach(commit => {
+    const [header, ...changed] = commit.trim().split('\n');
+    const [authorDate, author] = header.split('\t');
+    const date = new Date(authorDate).toISOString();
+    const inWindow = new Date(date).getTime() >= since;
+    const touchedDirs = new Set();
+
+    changed.filter(Boolean).forEach(file => {
+      const relativePath = path.normalize(file);
+      record(files, relativePath, date, author, inWindow);
+      for (let dir = path.dirname(relativePath); dir !== '.'; dir = path.dirname(dir)) {
+        touchedDirs.add(dir);
+      }
+    });
+    // A commit counts once per directory no matter how many files it touched
+    touchedDirs.forEach(dir => record(dirs, dir, date, author, inWindow));
+  });
+
+  return { windowDays, files, dirs, dirty: readDirty(projectPath), head: readHead(projectPath) };
+}
+
+// Watch mode refresh: the log is only walked again when HEAD moved; uncommitted changes are always re-read
+function refreshGitHistory(projectPath, history, windowDays = 90) {
+  if (!history || readHead(projectPath) !== history.head) {
+    return loadGitHistory(projectPath, windowDays);
+  }
+  return { ...history, dirty: readDirty(projectPath) };
+}
+
+function readHead(projectPath) {
+  try {
+    return runGit(projectPath, 'git rev-parse HEAD').trim();
+  } catch (e) {
+    return null;
+  }
+}
+
+function readDirty(projectPath) {
+  try {
+    return new Set(runGit(projectPath, 'git diff --name-only --relative HEAD')
+      .split('\n').filter(Boolean).map(file => path.normalize(file)));
+  } catch (e) {
+    return new Set(); // No HEAD to diff against
+  }
+}
+
+function runGit(projectPath, command) {
+  return execSync(command, {
+    cwd: projectPath,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'ignore'],
+    maxBuffer: 64 * 1024 * 1024
+  });
+}
+
+function topAuthors(authors, limit = 3) {
+  return Object.entries(authors)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([name]) => name);
+}
+
+// Extracts the project as committed at a ref into a temporary directory; call cleanup() when done
+function checkoutRevision(projectPath, ref) {
+  const git = args => execFileSync('git', args, {
+    cwd: projectPath,
+    stdio: ['ignore', 'pipe', 'pipe'],
+    maxBuffer: 1024 * 1024 * 1024
+  });
+
+  let archive;
+  try {
+    // Run from a subdirectory, git archive holds just that directory with paths relative to it
+    archive = git(['archive', '--format=tar', ref, '.']);
+  } catch (error) {
+    throw new Error(`Could not read ${ref} from git: ${String(error.stderr || error.message).trim()}`);
+  }
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-index-'));
+  const cleanup = () => fs.rmSync(dir, { recursive: true, force: true });
+  try {
+    execFileSync('tar', ['-x', '-C', dir], { input: archive, stdio: ['pipe', 'ignore', 'pipe'] });
+  } catch (error) {
+    cleanup();
+    throw new Error(`Could not extract ${ref}: ${String(error.stderr || error.message).trim()}`);
+  }
+  return { root: dir, cleanup };
+}
+
+module.exports = { loadGitHistory, refreshGitHistory, topAuthors, checkoutRevision };
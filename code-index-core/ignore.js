@@ -0,0 +1,156 @@
+/**
+ * Glob matching and the include/exclude/.gitignore rules that decide which project files are walked
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// '**' spans directories, '*' and '?' stay within one, '{a,b}' picks alternatives
+function globToRegExp(glob) {
+  let source = '';
+  const pattern = glob.replace(/^\.\//, '').replace(/\/+$/, '');
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      const slash = pattern[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const close = pattern.indexOf('}', i);
+      if (close === -1) {
+        source += '\\{';
+        continue;
+      }
+      source += `(?:${pattern.slice(i + 1, close).split(',').map(option => globToRegExp(option).source.slice(1, -1)).join('|')})`;
+      i = close;
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// Globs without a '/' match any file or directory name; others match the path from the project root
+function compileGlob(glob) {
+  const regex = globToRegExp(glob);
+  const anywhere = !glob.replace(/\/+$/, '').includes('/');
+  return relativePath => anywhere
+    ? relativePath.split('/').some(segment => regex.test(segment))
+    : regex.test(relativePath) || ancestors(relativePath).some(dir => regex.test(dir));
+}
+
+function ancestors(relativePath) {
+  const dirs = [];
+  for (let dir = path.posix.dirname(relativePath); dir !== '.'; dir = path.posix.dirname(dir)) dirs.push(dir);
+  return dirs;
+}
+
+class PathFilter {
+  // config: { include, exclude, gitignore } as normalized by loadConfig; generated: files the tool writes
+  // itself (cache, index outputs), absolute or relative to root
+  constructor(root, config = {}, generated = []) {
+    this.root = root;
+    this.generated = new Set(generated.map(file => path.resolve(root, file)));
+    this.include = (config.include || []).map(compileGlob);
+    this.exclude = (config.exclude || []).map(compileGlob);
+    this.gitignore = config.gitignore !== false;
+    this.rules = new Map(); // Directory -> parsed .gitignore rules
+    this.chains = new Map(); // Directory -> directories whose .gitignore applies to it, outermost first
+  }
+
+  ignoresDir(dir) {
+    const name = path.basename(dir);
+    if (name.startsWith('.')) return true; // .git, .next, .turbo and editor folders
+    const relativePath = this.relative(dir);
+    return this.exclude.some(matches => matches(relativePath)) || this.isGitIgnored(dir, true);
+  }
+
+  ignoresFile(file) {
+    if (this.generated.has(path.resolve(file))) return true;
+    const relativePath = this.relative(file);
+    if (this.exclude.some(matches => matches(relativePath))) return true;
+    if (this.include.length > 0 && !this.include.some(matches => matches(relativePath))) return true;
+    return this.isGitIgnored(file, false);
+  }
+
+  relative(filePath) {
+    return path.relative(this.root, filePath).split(path.sep).join('/');
+  }
+
+  // .gitignore files of the path's directory and its parents up to the repository root; the last match wins
+  isGitIgnored(filePath, isDir) {
+    if (!this.gitignore) return false;
+    let ignored = false;
+    this.gitignoreDirs(path.dirname(filePath)).forEach(dir => {
+      const relativePath = path.relative(dir, filePath).split(path.sep).join('/');
+      this.loadRules(dir).forEach(rule => {
+        if (rule.dirOnly && !isDir) return;
+        if (rule.regex.test(relativePath)) ignored = !rule.negate;
+      });
+    });
+    return ignored;
+  }
+
+  gitignoreDirs(dir) {
+    if (!this.chains.has(dir)) {
+      // Stop at the repository root, or at the project root outside a repository
+      const isTop = fs.existsSync(path.join(dir, '.git')) || path.dirname(dir) === dir ||
+        (dir === this.root && !this.insideRepository());
+      this.chains.set(dir, isTop ? [dir] : [...this.gitignoreDirs(path.dirname(dir)), dir]);
+    }
+    return this.chains.get(dir);
+  }
+
+  insideRepository() {
+    if (this.repository === undefined) {
+      this.repository = false;
+      for (let current = this.root; path.dirname(current) !== current; current = path.dirname(current)) {
+        if (fs.existsSync(path.join(current, '.git'))) {
+          this.repository = true;
+          break;
+        }
+      }
+    }
+    return this.repository;
+  }
+
+  loadRules(dir) {
+    if (!this.rules.has(dir)) {
+      let text = '';
+      try {
+        text = fs.readFileSync(path.join(dir, '.gitignore'), 'utf8');
+      } catch (e) {
+        // No .gitignore in this directory
+      }
+      this.rules.set(dir, parseGitignore(text));
+    }
+    return this.rules.get(dir);
+  }
+
+  reset() {
+    this.rules.clear();
+    this.chains.clear();
+  }
+}
+
+function parseGitignore(text) {
+  return text.split(/\r?\n/)
+    .map(line => line.replace(/(?<!\\)\s+$/, ''))
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const negate = line.startsWith('!');
+      let pattern = negate ? line.slice(1) : line.replace(/^\\([#!])/, '$1');
+      const dirOnly = pattern.endsWith('/');
+      pattern = pattern.replace(/\/+$/, '');
+      // A slash at the start or in the middle anchors the pattern to the .gitignore's directory
+      const anchored = pattern.includes('/');
+      pattern = pattern.replace(/^\//, '');
+      return { regex: globToRegExp(anchored ? pattern : `**/${pattern}`), negate, dirOnly };
+    });
+}
+
+module.exports = { PathFilter, globToRegExp, compileGlob };
@@ -0,0 +1,52 @@
+/**
+ * Shared analysis core for the code index generators
+ *
+ * CodebaseModel parses a project once into framework-neutral file models; framework adapters
+ * (adapters/) supply classification, routes and patterns, and emitters (emitters/) turn the
+ * model into each tool's index format. In a monorepo, Workspace holds one model per package.
+ */
+
+const { CodebaseModel } = require('./model');
+const { loadConfig } = require('./config');
+const { detectWorkspace, Workspace, formatManifest, formatPackageSection } = require('./workspace');
+const { HierarchicalEmitter, flattenWorkspaceIndex, formatUnused } = require('./emitters/hierarchical');
+const { CompactEmitter, DEFAULT_MAX_TOKENS } = require('./emitters/compact');
+const { createAdapter, FrameworkAdapter, ReactAdapter, NextjsAdapter } = require('./adapters');
+const { watchProject } = require('./watch');
+const { serveMcp } = require('./mcp');
+const { parseArgs, runLayerCheck, runCli } = require('./cli');
+const { checkoutRevision } = require('./git');
+const { diffIndexes, formatDiff } = require('./diff');
+const { describeViolation } = require('./layers');
+const { fuzzyScore, matchRoutePattern, parseTarget, findDependents } = require('./search');
+
+module.exports = {
+  CodebaseModel,
+  loadConfig,
+  detectWorkspace,
+  Workspace,
+  formatManifest,
+  formatPackageSection,
+  HierarchicalEmitter,
+  flattenWorkspaceIndex,
+  formatUnused,
+  CompactEmitter,
+  DEFAULT_MAX_TOKENS,
+  createAdapter,
+  FrameworkAdapter,
+  ReactAdapter,
+  NextjsAdapter,
+  watchProject,
+  serveMcp,
+  parseArgs,
+  runLayerCheck,
+  runCli,
+  checkoutRevision,
+  diffIndexes,
+  formatDiff,
+  describeViolation,
+  fuzzyScore,
+  matchRoutePattern,
+  parseTarget,
+  findDependents
+};
@@ -0,0 +1,100 @@
+/**
+ * Architecture layer rules from .codeindexrc, checked against every file's imports
+ *
+ *   "layers": [
+ *     { "from": "components/**", "disallow": ["app/api/**"] },
+ *     { "from": "lib/**", "disallow": ["react", "react-dom"], "message": "lib/ stays framework-free" }
+ *   ]
+ *
+ * `from` globs pick the files a rule applies to. `disallow` globs match the project file an import
+ * resolves to, or the package an external or workspace import names. ignoreTypeImports lets
+ * `import type` through.
+ */
+
+const path = require('path');
+const { compileGlob, globToRegExp } = require('./ignore');
+
+// [{ file, import, target?, rule, message? }], or null when no rules are configured
+function checkLayers(model) {
+  const rules = model.config.layers.map(compileRule);
+  if (rules.length === 0) return null;
+
+  const violations = [];
+  const seen = new Set();
+  Object.keys(model.files).sort().forEach(file => {
+    const applicable = rules.filter(rule => rule.from.some(matches => matches(toPosix(file))));
+    if (applicable.length === 0) return;
+
+    model.files[file].imports.forEach(({ source, typeOnly }) => {
+      const linked = model.resolver.resolvePackage(source);
+      const target = linked ? null : model.resolver.resolve(file, source);
+      // Unresolved project imports have nothing to match
+      if (!target && !linked && model.resolver.looksInternal(source)) return;
+
+      applicable.forEach(rule => {
+        if (typeOnly && rule.ignoreTypeImports) return;
+        const disallowed = target
+          ? rule.disallow.some(({ file: matches }) => matches(toPosix(target)))
+          : rule.disallow.some(({ name }) => name.test(source) || name.test(packageName(source)));
+        const key = `${file}\n${source}\n${rule.label}`;
+        if (!disallowed || seen.has(key)) return;
+        seen.add(key);
+        violations.push({
+          file,
+          import: source,
+          ...(target && { target }),
+          rule: rule.label,
+          ...(rule.message && { message: rule.message })
+        });
+      });
+    });
+  });
+  return violations;
+}
+
+// Violations of every project ([{ model, prefix }]) with workspace-relative paths; null without rules
+function collectViolations(projects) {
+  if (projects.every(({ model }) => model.config.layers.length === 0)) return null;
+  return projects.flatMap(({ model, prefix }) => (model.layerViolations() || []).map(violation => ({
+    ...violation,
+    file: path.join(prefix, violation.file),
+    ...(violation.target && { target: path.join(prefix, violation.target) })
+  })));
+}
+
+function compileRule(rule) {
+  return {
+    from: rule.from.map(compileGlob),
+    disallow: rule.disallow.map(glob => ({ file: compileGlob(glob), name: globToRegExp(glob) })),
+    label: `${rule.from.join(', ')} may not import ${rule.disallow.join(', ')}`,
+    message: rule.message,
+    ignoreTypeImports: rule.ignoreTypeImports
+  };
+}
+
+// 'react' for 'react/jsx-runtime', '@acme/ui' for '@acme/ui/button'
+function packageName(source) {
+  const segments = source.split('/');
+  return segments.slice(0, source.startsWith('@') ? 2 : 1).join('/');
+}
+
+function toPosix(relativePath) {
+  return relativePath.split(path.sep).join('/');
+}
+
+function describeViolation(violation) {
+  const target = violation.target ? ` (${violation.target})` : '';
+  return `${violation.file} imports \`${violation.import}\`${target}: ${violation.message || violation.rule}`;
+}
+
+// Report for --check
+function formatLayerCheck(violations, ruleCount) {
+  if (violations.length === 0) return `✅ No layer violations (${ruleCount} rules checked)\n`;
+  let content = `❌ ${violations.length} layer violations\n\n`;
+  violations.forEach(violation => {
+    content += `- ${describeViolation(violation)}\n`;
+  });
+  return content;
+}
+
+module.exports = { checkLayers, collectViolations, describeViolation, formatLayerCheck };
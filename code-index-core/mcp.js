@@ -0,0 +1,66 @@
+/**
+ * Minimal MCP server: newline-delimited JSON-RPC 2.0 over stdio, tools only
+ */
+
+const readline = require('readline');
+
+const MCP_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// tools: { name: { description, inputSchema, handler(args) } }
+function serveMcp(tools, serverInfo) {
+  const send = message => process.stdout.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`);
+
+  const handlers = {
+    initialize: params => ({
+      protocolVersion: MCP_PROTOCOL_VERSIONS.includes(params?.protocolVersion)
+        ? params.protocolVersion
+        : MCP_PROTOCOL_VERSIONS[0],
+      capabilities: { tools: {} },
+      serverInfo
+    }),
+    ping: () => ({}),
+    'tools/list': () => ({
+      tools: Object.entries(tools).map(([name, { description, inputSchema }]) => ({ name, description, inputSchema }))
+    }),
+    'tools/call': params => {
+      const tool = tools[params?.name];
+      if (!tool) throw Object.assign(new Error(`Unknown tool: ${params?.name}`), { code: -32602 });
+      try {
+        const result = tool.handler(params.arguments || {});
+        return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+      } catch (error) {
+        // Tool failures are reported to the model, not as protocol errors
+        return { content: [{ type: 'text', text: error.message }], isError: true };
+      }
+    }
+  };
+
+  const rl = readline.createInterface({ input: process.stdin });
+  rl.on('line', line => {
+    if (!line.trim()) return;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (e) {
+      send({ id: null, error: { code: -32700, message: 'Parse error' } });
+      return;
+    }
+
+    const isRequest = message.id !== undefined && message.id !== null;
+    const handler = handlers[message.method];
+    if (!isRequest) return; // Notifications (e.g. notifications/initialized) need no reply
+    if (!handler) {
+      send({ id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } });
+      return;
+    }
+    try {
+      send({ id: message.id, result: handler(message.params) });
+    } catch (error) {
+      send({ id: message.id, error: { code: error.code || -32603, message: error.message } });
+    }
+  });
+  rl.on('close', () => process.exit(0));
+  console.error('🔌 MCP server listening on stdio');
+}
+
+module.exports = { serveMcp };
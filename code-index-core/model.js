@@ -0,0 +1,375 @@
+/**
+ * Framework-neutral model of a codebase, shared by the hierarchical and compact emitters
+ */
+
+const path = require('path');
+const { Project, isSourceFile } = require('./project');
+const { loadConfig } = require('./config');
+const { FileCache } = require('./cache');
+const { ImportResolver } = require('./resolver');
+const { loadGitHistory, refreshGitHistory } = require('./git');
+const { analyzeSource, TYPE_KINDS } = require('./analyzer');
+const { createAdapter } = require('./adapters');
+const { extractSymbol } = require('./snippets');
+const { findDuplicates } = require('./duplicates');
+const { analyzeUsage } = require('./usage');
+const { findCycles } = require('./cycles');
+const { checkLayers } = require('./layers');
+const { findHotspots } = require('./complexity');
+const { parseTarget } = require('./search');
+
+class CodebaseModel {
+  constructor(projectPath = '.', options = {}) {
+    // workspace and packageName are set when the project is one package of a monorepo (see workspace.js);
+    // config is the loadConfig() result, read from the project when not given; outputFiles are the index
+    // files the generator writes, kept out of the walk along with the cache
+    this.options = {
+      cache: true, cacheFile: '.code-index-cache.json', gitWindowDays: 90, framework: null,
+      workspace: null, packageName: null, config: null, outputFiles: [], ...options
+    };
+    this.config = this.options.config || loadConfig(projectPath);
+    this.project = new Project(projectPath, this.config, [this.options.cacheFile, ...this.options.outputFiles]);
+    this.projectPath = this.project.root;
+    this.adapter = createAdapter(this.project, this.options.framework);
+    // Symbol kinds and file types come from the adapter, so switching frameworks invalidates the cache
+    this.cache = new FileCache(this.projectPath, this.options.cacheFile, this.options.cache,
+      { adapter: this.adapter.name, analyzers: this.config.analyzers });
+    this.files = {}; // Relative path -> file model (see analyzer.js)
+    this.hashes = {}; // Relative path -> content hash
+    this.dependencies = { edges: [], unresolved: [] }; // Resolved file-to-file import edges (+ packages in a workspace)
+    this.git = null; // Parsed local git history, when the project is a repository
+  }
+
+  async build() {
+    // Git history backs last-change dates and churn
+    this.git = this.loadGit();
+    await this.analyzeFiles();
+    this.resolveDependencies();
+  }
+
+  async analyzeFiles() {
+    console.log('🔍 Analyzing source files...');
+
+    this.cache.load();
+    this.files = {};
+    this.hashes = {};
+    const seen = new Set();
+
+    for (const file of this.project.getSourceFiles()) {
+      const relativePath = this.project.relative(file);
+      seen.add(relativePath);
+      await this.analyzeFile(file, relativePath);
+    }
+
+    this.cache.prune(seen);
+    const { reused, analyzed, pruned } = this.cache.stats;
+    console.log(`♻️  Reused ${reused} cached files, re-analyzed ${analyzed}, pruned ${pruned}`);
+    this.cache.save();
+  }
+
+  async analyzeFile(filePath, relativePath) {
+    try {
+      const entry = await this.cache.lookup(relativePath, filePath, this.project.stat(filePath),
+        code => analyzeSource(code, filePath, relativePath, this.adapter));
+      this.hashes[relativePath] = entry.hash;
+      if (entry.model) this.files[relativePath] = entry.model; // null when the file failed to parse
+      return !!entry.model;
+    } catch (error) {
+      console.warn(`⚠️  Skipping ${filePath}: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Re-analyzes changed absolute paths (files or directories); returns { updated, changed } counts
+  async update(changedPaths) {
+    this.project.reset();
+    if (this.isEnabled('git')) this.git = refreshGitHistory(this.projectPath, this.git, this.options.gitWindowDays);
+
+    const files = this.project.getFiles();
+    const changedFiles = new Set();
+    changedPaths.forEach(changed => {
+      // A renamed or created directory reports only its own path
+      const nested = files.filter(file => file.startsWith(changed + path.sep));
+      [changed, ...nested].forEach(file => changedFiles.add(file));
+    });
+
+    let updated = 0;
+    for (const file of changedFiles) {
+      const relativePath = this.project.relative(file);
+      delete this.files[relativePath];
+      delete this.hashes[relativePath];
+
+      if (!this.project.stats.has(file) || !isSourceFile(file)) {
+        this.cache.delete(relativePath);
+        continue;
+      }
+      if (await this.analyzeFile(file, relativePath)) updated++;
+    }
+
+    this.resolveDependencies();
+    this.cache.save();
+    return { updated, changed: changedFiles.size };
+  }
+
+  loadGit() {
+    return this.isEnabled('git') ? loadGitHistory(this.projectPath, this.options.gitWindowDays) : null;
+  }
+
+  // Analyzers switched off in .codeindexrc are skipped (see config.js)
+  isEnabled(analyzer) {
+    return this.config.analyzers[analyzer] !== false;
+  }
+
+  // Files under maxFileSize bytes, the ones emitters describe; larger ones still resolve imports
+  isWithinSizeLimit(relativePath, defaultLimit = null) {
+    const limit = this.config.maxFileSize ?? defaultLimit;
+    return !limit || this.project.stat(path.join(this.projectPath, relativePath)).size <= limit;
+  }
+
+  // Adapter directories worth describing, plus the extra roots from .codeindexrc
+  sourceDirectories() {
+    return [...new Set([...this.adapter.sourceDirectories(), ...this.config.roots])];
+  }
+
+  resolveDependencies() {
+    console.log('🔗 Resolving internal dependencies...');
+
+    const workspace = this.options.workspace;
+    const packages = workspace ? workspace.packages.map(pkg => ({
+      name: pkg.name,
+      root: pkg.root,
+      packageJson: pkg.packageJson,
+      files: pkg.model.project.getFiles()
+    })) : [];
+    this.resolver = new ImportResolver(this.projectPath, this.project.getFiles(), packages);
+    const edges = [];
+    const packageEdges = [];
+    const unresolved = [];
+    // Names per target, and the ones only forwarded by export ... from rather than imported
+    const addNames = (targets, key, names, reexport) => {
+      const merged = targets.get(key) || { names: new Set(), imported: new Set() };
+      names.forEach(name => {
+        merged.names.add(name);
+        if (!reexport) merged.imported.add(name);
+      });
+      targets.set(key, merged);
+    };
+    const reexportedOnly = ({ names, imported }) => {
+      const reexports = [...names].filter(name => !imported.has(name));
+      return reexports.length > 0 ? { reexports } : {};
+    };
+
+    Object.keys(this.files).sort().forEach(file => {
+      const targets = new Map();
+      const packageTargets = new Map();
+      const runtimeTargets = new Set(); // Targets of at least one import that survives compilation
+
+      this.files[file].imports.forEach(({ source, names, typeOnly, reexport }) => {
+        const linked = this.resolver.resolvePackage(source);
+        // Imports of another workspace package become package edges; of its own name, plain edges
+        if (linked && linked.package !== this.options.packageName) {
+          addNames(packageTargets, `${linked.package}\n${linked.file}`, names, reexport);
+          return;
+        }
+        const target = linked ? linked.file : this.resolver.resolve(file, source);
+        if (target === file) return;
+        if (target) {
+          addNames(targets, target, names, reexport);
+          if (!typeOnly) runtimeTargets.add(target);
+        } else if (this.resolver.looksInternal(source)) {
+          unresolved.push({ from: file, source });
+        }
+      });
+
+      targets.forEach((merged, to) => {
+        edges.push({
+          from: file,
+          to,
+          names: [...merged.names],
+          ...reexportedOnly(merged),
+          ...(!runtimeTargets.has(to) && { typeOnly: true })
+        });
+      });
+      packageTargets.forEach((merged, key) => {
+        const [packageName, to] = key.split('\n');
+        packageEdges.push({ from: file, package: packageName, to, names: [...merged.names], ...reexportedOnly(merged) });
+      });
+    });
+
+    // Names imported through barrels also link straight to the file that defines them
+    const originEdges = new Map();
+    edges.forEach(edge => {
+      edge.names.forEach(name => {
+        const origin = name !== '*' && this.resolveExport(edge.to, name);
+        if (!origin || origin.file === edge.to || origin.file === edge.from) return;
+        const key = `${edge.from}\n${origin.file}`;
+        if (!originEdges.has(key)) originEdges.set(key, { from: edge.from, to: origin.file, names: [], via: edge.to });
+        originEdges.get(key).names.push(origin.name);
+      });
+    });
+
+    this.dependencies = { edges: [...edges, ...originEdges.values()], unresolved };
+    if (workspace) this.dependencies.packages = packageEdges;
+  }
+
+  // File and local name that actually define an export, following export { x } from and export * chains
+  resolveExport(file, name, seen = new Set()) {
+    const fileModel = this.files[file];
+    if (!fileModel || seen.has(`${file}:${name}`)) return null;
+    seen.add(`${file}:${name}`);
+
+    for (const reexport of fileModel.reexports) {
+      if (reexport.names === '*') continue;
+      const match = reexport.names.find(entry => entry.exported === name);
+      if (!match) continue;
+      const target = this.resolver.resolve(file, reexport.source);
+      if (!target || match.local === '*') return target ? { file: target, name: '*' } : null;
+      return this.resolveExport(target, match.local, seen) || { file: target, name: match.local };
+    }
+    if (fileModel.exports.includes(name)) return { file, name };
+
+    // export * never forwards default
+    if (name === 'default') return null;
+    for (const reexport of fileModel.reexports.filter(entry => entry.names === '*')) {
+      const target = this.resolver.resolve(file, reexport.source);
+      const origin = target && this.resolveExport(target, name, seen);
+      if (origin) return origin;
+    }
+    return null;
+  }
+
+  // Public names of a file, including those forwarded by export * barrels
+  getExports(file, seen = new Set()) {
+    const fileModel = this.files[file];
+    if (!fileModel || seen.has(file)) return [];
+    seen.add(file);
+    const names = new Set(fileModel.exports);
+    fileModel.reexports.filter(entry => entry.names === '*').forEach(reexport => {
+      const target = this.resolver.resolve(file, reexport.source);
+      if (target) this.getExports(target, seen).filter(name => name !== 'default').forEach(name => names.add(name));
+    });
+    return [...names];
+  }
+
+  // Re-exported names of a barrel mapped to the file that defines them
+  getReexports(file) {
+    const fileModel = this.files[file];
+    if (!fileModel || fileModel.reexports.length === 0) return {};
+    const origins = {};
+    this.getExports(file).forEach(name => {
+      const origin = this.resolveExport(file, name);
+      if (origin && origin.file !== file) origins[name] = origin.file;
+    });
+    return origins;
+  }
+
+  getDependencies(file) {
+    return this.dependencies.edges.filter(edge => edge.from === file).map(edge => edge.to);
+  }
+
+  getImporters(file) {
+    return this.dependencies.edges.filter(edge => edge.to === file).map(edge => edge.from);
+  }
+
+  isExternalImport(source) {
+    return !this.resolver.looksInternal(source);
+  }
+
+  getLastChange(relativePath) {
+    // Committed files use their last commit; uncommitted edits and untracked files fall back to mtime
+    const history = this.git?.files[relativePath];
+    if (history && !this.git.dirty.has(relativePath)) return history.lastCommit;
+    return this.project.stat(path.join(this.projectPath, relativePath)).mtime.toISOString();
+  }
+
+  // Prop names ('label', 'onClick?') of a component, following type references into imported files
+  resolveProps(file, symbol) {
+    if (!symbol.props || !this.isEnabled('props')) return null;
+    const members = new Map();
+    const addMembers = list => list.forEach(member => {
+      if (!members.has(member.name)) members.set(member.name, member);
+    });
+
+    addMembers(symbol.props.members);
+    const seen = new Set();
+    const follow = (fromFile, refs, depth) => {
+      refs.forEach(ref => {
+        const found = depth < 5 && this.findType(fromFile, ref);
+        if (!found || seen.has(`${found.file}:${ref}`)) return;
+        seen.add(`${found.file}:${ref}`);
+        addMembers(found.symbol.members);
+        follow(found.file, found.symbol.extends || [], depth + 1);
+      });
+    };
+    follow(file, symbol.props.refs, 0);
+
+    return [...members.values()].map(member => `${member.name}${member.optional ? '?' : ''}`);
+  }
+
+  // Type declaration visible as `name` in a file: declared there or imported from a project file
+  findType(file, name) {
+    const fileModel = this.files[file];
+    if (!fileModel) return null;
+    const local = fileModel.symbols.find(symbol => symbol.name === name && TYPE_KINDS.includes(symbol.kind));
+    if (local) return { file, symbol: local };
+
+    const imported = fileModel.imports.find(imp => imp.names.includes(name));
+    const target = imported && this.resolver?.resolve(file, imported.source);
+    return target && target !== file ? this.findType(target, name) : null;
+  }
+
+  routes() {
+    return this.isEnabled('routes') ? this.adapter.analyzeRoutes(this) : {};
+  }
+
+  frameworkConfig() {
+    return this.isEnabled('config') ? this.adapter.analyzeConfig(this) : null;
+  }
+
+  boundaries() {
+    return this.isEnabled('boundaries') ? this.adapter.analyzeBoundaries(this) : null;
+  }
+
+  // Clusters of near-duplicate functions, components and hooks among the files emitters describe
+  duplicates() {
+    if (!this.isEnabled('duplicates')) return null;
+    return findDuplicates(Object.keys(this.files)
+      .filter(file => this.isWithinSizeLimit(file))
+      .flatMap(file => this.files[file].symbols.map(symbol => ({ file, ...symbol }))));
+  }
+
+  // The most complex functions, components and classes among the files emitters describe
+  complexityHotspots() {
+    return findHotspots(Object.keys(this.files)
+      .filter(file => this.isWithinSizeLimit(file))
+      .flatMap(file => this.files[file].symbols.map(symbol => ({ file, ...symbol }))));
+  }
+
+  // Exports no project file imports and files no entry point reaches (see usage.js)
+  usage() {
+    return this.isEnabled('unused') ? analyzeUsage(this) : null;
+  }
+
+  // Runtime import cycles between project files (see cycles.js)
+  cycles() {
+    return this.isEnabled('cycles') ? findCycles(this) : null;
+  }
+
+  // Imports breaking the `layers` rules of .codeindexrc; null without rules (see layers.js)
+  layerViolations() {
+    return checkLayers(this);
+  }
+
+  resolveTarget(target) {
+    return parseTarget(target, Object.keys(this.files), this.projectPath);
+  }
+
+  extractSymbol(relativePath, symbol) {
+    // An anonymous default export is found by its export statement, not the name derived for it
+    const anonymous = this.files[relativePath]?.symbols.some(entry => entry.name === symbol && entry.anonymous);
+    const snippet = extractSymbol(this.projectPath, relativePath, anonymous ? 'default' : symbol);
+    return snippet && { ...snippet, symbol };
+  }
+}
+
+module.exports = { CodebaseModel };
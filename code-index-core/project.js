@@ -0,0 +1,147 @@
+/**
+ * Project file listing and package.json access
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PathFilter } = require('./ignore');
+const { DEFAULT_EXCLUDE } = require('./config');
+const RELEVANT_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.json', '.css', '.scss', '.module.css'];
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx'];
+
+class Project {
+  // config: include/exclude globs and gitignore flag from loadConfig; generated: files never to list (see PathFilter)
+  constructor(projectPath = '.', config = { exclude: DEFAULT_EXCLUDE }, generated = []) {
+    this.root = path.resolve(projectPath);
+    this.filter = new PathFilter(this.root, config, generated);
+    this.packageJson = this.loadPackageJson();
+    this.files = null; // Memoized result of a single project walk
+    this.stats = new Map(); // Absolute path -> fs.Stats collected during the walk
+  }
+
+  loadPackageJson() {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.root, 'package.json'), 'utf8'));
+    } catch (e) {
+      return { dependencies: {}, devDependencies: {} };
+    }
+  }
+
+  hasPackage(packageName) {
+    return !!this.packageVersion(packageName);
+  }
+
+  packageVersion(packageName) {
+    return this.packageJson.dependencies?.[packageName] ||
+           this.packageJson.devDependencies?.[packageName] ||
+           this.packageJson.peerDependencies?.[packageName] ||
+           null;
+  }
+
+  exists(relativePath) {
+    return fs.existsSync(path.join(this.root, relativePath));
+  }
+
+  relative(filePath) {
+    return path.relative(this.root, filePath);
+  }
+
+  getFiles(dir = this.root) {
+    // Walk the project once and answer every later lookup from that listing
+    if (!this.files) {
+      this.files = this.walkFiles(this.root);
+    }
+    const root = path.resolve(dir);
+    if (root === this.root) return this.files;
+    const prefix = root + path.sep;
+    return this.files.filter(file => file.startsWith(prefix));
+  }
+
+  getSourceFiles(dir = this.root) {
+    return this.getFiles(dir).filter(file => isSourceFile(file));
+  }
+
+  walkFiles(dir) {
+    const files = [];
+    try {
+      const items = fs.readdirSync(dir);
+
+      items.forEach(item => {
+        const fullPath = path.join(dir, item);
+        try {
+          const stat = fs.statSync(fullPath);
+
+          if (stat.isDirectory() && !this.filter.ignoresDir(fullPath)) {
+            files.push(...this.walkFiles(fullPath));
+          } else if (stat.isFile() && isRelevantFile(item) && !this.filter.ignoresFile(fullPath)) {
+            this.stats.set(fullPath, stat);
+            files.push(fullPath);
+          }
+        } catch (e) {
+          // Skip files that can't be accessed
+        }
+      });
+    } catch (e) {
+      // Skip directories that can't be read
+    }
+
+    return files;
+  }
+
+  getDirs(dir = this.root) {
+    // Returns [dir, ...all subdirs], excluding ignored and hidden folders
+    let dirs = [dir];
+    try {
+      fs.readdirSync(dir, { withFileTypes: true }).forEach(item => {
+        if (item.isDirectory() && !this.filter.ignoresDir(path.join(dir, item.name))) {
+          dirs = dirs.concat(this.getDirs(path.join(dir, item.name)));
+        }
+      });
+    } catch (e) {
+      // Skip dirs that can't be read
+    }
+    return dirs;
+  }
+
+  stat(filePath) {
+    return this.stats.get(filePath) || fs.statSync(filePath);
+  }
+
+  // True for files and directories the walk skips, given a project-relative path
+  isIgnored(relativePath) {
+    const fullPath = path.join(this.root, relativePath);
+    let isDir = false;
+    try {
+      isDir = fs.statSync(fullPath).isDirectory();
+    } catch (e) {
+      // Deleted paths are judged by name alone
+    }
+    const dirs = path.dirname(relativePath).split(path.sep).filter(segment => segment !== '.');
+    // A file inside an ignored directory is ignored too
+    for (let i = 1; i <= dirs.length; i++) {
+      if (this.filter.ignoresDir(path.join(this.root, ...dirs.slice(0, i)))) return true;
+    }
+    return isDir ? this.filter.ignoresDir(fullPath) : this.filter.ignoresFile(fullPath);
+  }
+
+  reset() {
+    this.files = null;
+    this.stats.clear();
+    this.filter.reset();
+  }
+}
+
+// Default exclusions for directory scans that happen before a project's config is known
+function isIgnoredDir(name) {
+  return name.startsWith('.') || DEFAULT_EXCLUDE.includes(name);
+}
+
+function isRelevantFile(filename) {
+  return RELEVANT_EXTENSIONS.some(ext => filename.endsWith(ext));
+}
+
+function isSourceFile(file) {
+  return SOURCE_EXTENSIONS.includes(path.extname(file));
+}
+
+module.exports = { Project, isIgnoredDir, isSourceFile };
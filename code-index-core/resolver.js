@@ -0,0 +1,217 @@
+/**
+ * Resolves import specifiers to project files (relative paths, tsconfig paths and baseUrl)
+ * and, in a workspace, to files of sibling packages
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RESOLVE_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.json'];
+// package.json fields naming a package's entry, most source-like first
+const ENTRY_FIELDS = ['source', 'types', 'typings', 'module', 'main'];
+// exports conditions in the same spirit; anything else is tried afterwards
+const EXPORT_CONDITIONS = ['source', 'types', 'import', 'module', 'require', 'default'];
+
+class ImportResolver {
+  // packages: workspace packages as [{ name, root, packageJson, files }]
+  constructor(projectPath, knownFiles, packages = []) {
+    this.projectPath = projectPath;
+    this.knownFiles = new Set(knownFiles);
+    this.pathAliases = this.loadPathAliases();
+    this.packages = packages.map(pkg => ({ ...pkg, files: new Set(pkg.files) }));
+  }
+
+  loadPathAliases() {
+    const configFile = ['tsconfig.json', 'jsconfig.json']
+      .map(file => path.join(this.projectPath, file))
+      .find(file => fs.existsSync(file));
+    if (!configFile) return { baseUrl: null, paths: [] };
+
+    const compilerOptions = this.readCompilerOptions(configFile, new Set());
+    const baseUrl = compilerOptions.baseUrl ? path.resolve(compilerOptions.baseDir, compilerOptions.baseUrl) : null;
+    const paths = Object.entries(compilerOptions.paths || {}).map(([pattern, targets]) => ({
+      pattern,
+      targets,
+      // Without baseUrl, paths are relative to the config that declared them
+      root: baseUrl || compilerOptions.pathsDir
+    }));
+    return { baseUrl, paths };
+  }
+
+  readCompilerOptions(configFile, seen) {
+    if (seen.has(configFile)) return {};
+    seen.add(configFile);
+
+    let config;
+    try {
+      config = parseJsonc(fs.readFileSync(configFile, 'utf8'));
+    } catch (e) {
+      return {};
+    }
+
+    const configDir = path.dirname(configFile);
+    let inherited = {};
+    // Only relative extends are followed; package presets rarely define paths
+    if (typeof config.extends === 'string' && config.extends.startsWith('.')) {
+      let parent = path.resolve(configDir, config.extends);
+      if (!parent.endsWith('.json')) parent += '.json';
+      inherited = this.readCompilerOptions(parent, seen);
+    }
+
+    const own = config.compilerOptions || {};
+    return {
+      ...inherited,
+      ...own,
+      baseDir: own.baseUrl ? configDir : inherited.baseDir,
+      pathsDir: own.paths ? configDir : (inherited.pathsDir || configDir)
+    };
+  }
+
+  resolve(fromFile, source) {
+    if (source.startsWith('.')) {
+      return this.resolveFile(path.resolve(this.projectPath, path.dirname(fromFile), source));
+    }
+    if (source.startsWith('/')) {
+      return this.resolveFile(path.join(this.projectPath, source));
+    }
+
+    for (const { pattern, targets, root } of this.pathAliases.paths) {
+      const match = matchAlias(pattern, source);
+      if (match === null) continue;
+      for (const target of targets) {
+        const resolved = this.resolveFile(path.resolve(root, target.replace('*', match)));
+        if (resolved) return resolved;
+      }
+    }
+
+    if (this.pathAliases.baseUrl) {
+      return this.resolveFile(path.resolve(this.pathAliases.baseUrl, source));
+    }
+    return null;
+  }
+
+  resolveFile(basePath) {
+    const found = candidatePaths(basePath).find(candidate => this.knownFiles.has(candidate));
+    return found ? path.relative(this.projectPath, found) : null;
+  }
+
+  // Workspace package imports like '@acme/ui' or '@acme/ui/button': { package, file } with file
+  // relative to that package, or null. Entries pointing at build output fall back to src/.
+  resolvePackage(source) {
+    const pkg = this.findPackage(source);
+    if (!pkg) return null;
+    const subpath = `.${source.slice(pkg.name.length)}`;
+
+    for (const entry of packageEntries(pkg.packageJson, subpath)) {
+      const found = candidatePaths(path.resolve(pkg.root, entry)).find(candidate => pkg.files.has(candidate));
+      if (found) return { package: pkg.name, file: path.relative(pkg.root, found) };
+    }
+    return null;
+  }
+
+  // Project files behind its own package.json entries: '.' and each exports subpath, plus bin scripts.
+  // Without any entry field the project isn't meant to be imported, so there are none.
+  resolveOwnEntries(packageJson) {
+    const declared = ['exports', 'bin', ...ENTRY_FIELDS].some(field => packageJson[field] !== undefined);
+    if (!declared) return [];
+    const exportsMap = packageJson.exports && typeof packageJson.exports === 'object' && !Array.isArray(packageJson.exports)
+      ? packageJson.exports : {};
+    const subpaths = ['.', ...Object.keys(exportsMap).filter(key => key.startsWith('./') && !key.includes('*'))];
+    const bin = typeof packageJson.bin === 'string' ? [packageJson.bin] : Object.values(packageJson.bin || {});
+
+    const files = new Set();
+    subpaths.forEach(subpath => {
+      const found = packageEntries(packageJson, subpath).map(entry => this.resolveFile(path.resolve(this.projectPath, entry))).find(Boolean);
+      if (found) files.add(found);
+    });
+    bin.map(entry => this.resolveFile(path.resolve(this.projectPath, entry))).filter(Boolean).forEach(file => files.add(file));
+    return [...files];
+  }
+
+  findPackage(source) {
+    return this.packages.find(pkg => source === pkg.name || source.startsWith(`${pkg.name}/`)) || null;
+  }
+
+  looksInternal(source) {
+    if (source.startsWith('.') || source.startsWith('/')) return true;
+    if (this.findPackage(source)) return true;
+    return this.pathAliases.paths.some(({ pattern }) => matchAlias(pattern, source) !== null);
+  }
+}
+
+function candidatePaths(basePath) {
+  const candidates = [basePath];
+  // TypeScript ESM projects import './foo.js' that is really './foo.ts'
+  const jsExt = basePath.match(/\.(m|c)?jsx?$/);
+  if (jsExt) {
+    const stem = basePath.slice(0, -jsExt[0].length);
+    candidates.push(`${stem}.ts`, `${stem}.tsx`);
+  }
+  RESOLVE_EXTENSIONS.forEach(ext => candidates.push(basePath + ext));
+  RESOLVE_EXTENSIONS.forEach(ext => candidates.push(path.join(basePath, `index${ext}`)));
+  return candidates;
+}
+
+// Paths inside a package that may implement a subpath ('.' or './button'), in order of preference
+function packageEntries(packageJson, subpath) {
+  const entries = exportTargets(packageJson.exports, subpath);
+  if (subpath === '.') {
+    ENTRY_FIELDS.forEach(field => {
+      if (typeof packageJson[field] === 'string') entries.push(packageJson[field]);
+    });
+  }
+  // Build output (dist/) is never indexed, so also try the usual source layout
+  const bare = subpath === '.' ? 'index' : subpath.slice(2);
+  entries.push(...entries.map(entry => entry.replace(/^(\.\/)?(dist|build|lib|out)\//, 'src/').replace(/\.d\.ts$/, '')));
+  entries.push(`src/${bare}`, bare);
+  return [...new Set(entries)];
+}
+
+// String targets of the package.json exports map for a subpath, including './*' patterns
+function exportTargets(exportsField, subpath) {
+  if (!exportsField) return [];
+  // A string or a bare conditions object is the '.' export
+  const isMap = typeof exportsField === 'object' && !Array.isArray(exportsField) &&
+    Object.keys(exportsField).some(key => key.startsWith('.'));
+  const map = isMap ? exportsField : { '.': exportsField };
+
+  if (map[subpath] !== undefined) return conditionTargets(map[subpath]);
+  for (const [pattern, target] of Object.entries(map)) {
+    const match = pattern.includes('*') ? matchAlias(pattern, subpath) : null;
+    if (match !== null) return conditionTargets(target).map(entry => entry.replace('*', match));
+  }
+  return [];
+}
+
+function conditionTargets(target) {
+  if (typeof target === 'string') return [target];
+  if (Array.isArray(target)) return target.flatMap(conditionTargets);
+  if (!target || typeof target !== 'object') return [];
+  const keys = Object.keys(target).sort((a, b) => rank(a) - rank(b));
+  return keys.flatMap(key => conditionTargets(target[key]));
+}
+
+function rank(condition) {
+  const index = EXPORT_CONDITIONS.indexOf(condition);
+  return index === -1 ? EXPORT_CONDITIONS.length : index;
+}
+
+function parseJsonc(text) {
+  // tsconfig allows comments and trailing commas; strip them outside of strings
+  const stripped = text
+    .replace(/("(?:\\.|[^"\\])*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, str) => str || '')
+    .replace(/("(?:\\.|[^"\\])*")|,(\s*[}\]])/g, (match, str, closing) => str || closing);
+  return JSON.parse(stripped);
+}
+
+function matchAlias(pattern, source) {
+  const star = pattern.indexOf('*');
+  if (star === -1) return pattern === source ? '' : null;
+  const prefix = pattern.slice(0, star);
+  const suffix = pattern.slice(star + 1);
+  if (source.length < prefix.length + suffix.length) return null;
+  if (!source.startsWith(prefix) || !source.endsWith(suffix)) return null;
+  return source.slice(prefix.length, source.length - suffix.length);
+}
+
+module.exports = { ImportResolver, parseJsonc, matchAlias };
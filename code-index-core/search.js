@@ -0,0 +1,90 @@
+/**
+ * Lookup helpers shared by query, impact and MCP tools
+ */
+
+const path = require('path');
+
+function fuzzyScore(query, candidate) {
+  const q = query.toLowerCase();
+  const c = candidate.toLowerCase();
+  if (c === q) return 100;
+  if (c.startsWith(q)) return 80;
+  if (c.includes(q)) return 60;
+
+  // Subsequence match, penalized by the gaps between matched characters
+  let position = -1;
+  let gaps = 0;
+  for (const char of q) {
+    const next = c.indexOf(char, position + 1);
+    if (next === -1) return 0;
+    if (position !== -1) gaps += next - position - 1;
+    position = next;
+  }
+  return Math.max(1, 40 - gaps);
+}
+
+function matchRoutePattern(pattern, routePath) {
+  // "*" matches one segment, "**" any number; Next.js ":param" segments match literally
+  const source = pattern
+    .split('/')
+    .map(segment => {
+      if (segment === '**') return '.*';
+      return segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*');
+    })
+    .join('/');
+  return new RegExp(`^${source}$`).test(routePath);
+}
+
+// Splits "<file>[:symbol]" against a list of known project-relative files
+function parseTarget(target, files, projectPath) {
+  const known = new Set(files);
+  const normalize = candidate => {
+    const relative = path.isAbsolute(candidate)
+      ? path.relative(projectPath, candidate)
+      : path.normalize(candidate);
+    if (known.has(relative)) return relative;
+    // Allow extensionless targets like lib/auth
+    return files.find(file => file.replace(/\.[^./]+$/, '') === relative) || null;
+  };
+
+  const separator = target.lastIndexOf(':');
+  if (separator > 0) {
+    const file = normalize(target.slice(0, separator));
+    if (file) return { file, symbol: target.slice(separator + 1) };
+  }
+  const file = normalize(target);
+  if (!file) throw new Error(`"${target}" is not an indexed source file`);
+  return { file, symbol: null };
+}
+
+// Reverse BFS over {from, to, names} edges; returns [{ depth, files }]
+function findDependents(edges, file, symbol = null) {
+  const importers = new Map();
+  edges.forEach(edge => {
+    if (!importers.has(edge.to)) importers.set(edge.to, []);
+    importers.get(edge.to).push(edge);
+  });
+
+  // Direct importers must use the symbol (or the whole module); beyond that any import propagates
+  const usesSymbol = edge => !symbol || edge.names.includes(symbol) || edge.names.includes('*');
+  const depths = [];
+  const visited = new Set([file]);
+  let frontier = [file];
+
+  while (frontier.length > 0) {
+    const next = [];
+    frontier.forEach(current => {
+      (importers.get(current) || []).forEach(edge => {
+        if (visited.has(edge.from)) return;
+        if (current === file && !usesSymbol(edge)) return;
+        visited.add(edge.from);
+        next.push(edge.from);
+      });
+    });
+    if (next.length > 0) depths.push({ depth: depths.length + 1, files: next.sort() });
+    frontier = next;
+  }
+  return depths;
+}
+
+module.exports = { fuzzyScore, matchRoutePattern, parseTarget, findDependents };
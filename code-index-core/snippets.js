@@ -0,0 +1,93 @@
+/**
+ * Extracts a top-level symbol's source with the imports and same-file bindings it needs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseSource, traverse } = require('./babel');
+const { hashContent } = require('./cache');
+
+function extractSymbol(projectPath, relativePath, symbol) {
+  const filePath = path.join(projectPath, relativePath);
+  let code;
+  let ast;
+  try {
+    code = fs.readFileSync(filePath, 'utf8');
+    ast = parseSource(filePath, code);
+  } catch (e) {
+    return null;
+  }
+
+  let target = null;
+  traverse(ast, {
+    Program(programPath) {
+      target = programPath.get('body').find(statement => {
+        const node = statement.isExportNamedDeclaration() || statement.isExportDefaultDeclaration()
+          ? statement.node.declaration
+          : statement.node;
+        if (!node) return false;
+        if (symbol === 'default' && statement.isExportDefaultDeclaration()) return true;
+        if (node.id?.name === symbol) return true;
+        return node.type === 'VariableDeclaration' &&
+          node.declarations.some(decl => decl.id.name === symbol);
+      });
+      programPath.stop();
+    }
+  });
+  if (!target) return null;
+
+  // Imports and same-file bindings the snippet needs to compile elsewhere
+  const imports = new Map();
+  const uses = new Set();
+  target.traverse({
+    'Identifier|JSXIdentifier'(refPath) {
+      if (!refPath.isReferencedIdentifier()) return;
+      const binding = refPath.scope.getBinding(refPath.node.name);
+      if (!binding || binding.scope.block !== ast.program) return;
+      if (binding.kind === 'module') {
+        const declaration = binding.path.parent;
+        if (!imports.has(declaration)) imports.set(declaration, new Set());
+        imports.get(declaration).add(binding.path.node);
+      } else if (binding.path.node !== target.node && !target.isAncestor(binding.path)) {
+        uses.add(refPath.node.name);
+      }
+    }
+  });
+
+  const leading = target.node.leadingComments || [];
+  const start = leading.length > 0 ? leading[0].start : target.node.start;
+  const startLine = leading.length > 0 ? leading[0].loc.start.line : target.node.loc.start.line;
+
+  return {
+    file: relativePath,
+    symbol,
+    code: code.slice(start, target.node.end),
+    imports: [...imports].map(([declaration, specifiers]) => formatImport(declaration, [...specifiers])),
+    uses: [...uses].sort(),
+    lines: { start: startLine, end: target.node.loc.end.line },
+    hash: hashContent(code),
+    expandedAt: new Date().toISOString()
+  };
+}
+
+function formatImport(declaration, specifiers) {
+  const named = [];
+  let defaultName = null;
+  let namespace = null;
+  specifiers.forEach(spec => {
+    if (spec.type === 'ImportDefaultSpecifier') defaultName = spec.local.name;
+    else if (spec.type === 'ImportNamespaceSpecifier') namespace = `* as ${spec.local.name}`;
+    else {
+      const imported = spec.imported.name || spec.imported.value;
+      named.push(imported === spec.local.name ? imported : `${imported} as ${spec.local.name}`);
+    }
+  });
+
+  const clause = [defaultName, namespace, named.length > 0 ? `{ ${named.join(', ')} }` : null]
+    .filter(Boolean)
+    .join(', ');
+  const typeOnly = declaration.importKind === 'type' ? 'type ' : '';
+  return `import ${typeOnly}${clause} from '${declaration.source.value}';`;
+}
+
+module.exports = { extractSymbol };
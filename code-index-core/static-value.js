@@ -0,0 +1,88 @@
+/**
+ * Static evaluation of literal AST nodes, for config values that are read without running the code
+ *
+ * Anything that needs runtime evaluation (env lookups, calls, spreads) becomes a dynamic-value
+ * marker { $dynamic: '<source>' } so the index shows that a value exists but is not known.
+ */
+
+const MAX_SOURCE_LENGTH = 80;
+
+// resolve(identifier) may return the node a name is bound to, so top-level constants are followed;
+// visited holds the bindings already being followed, so `const a = b; const b = a` stays dynamic
+function staticValue(node, code, resolve = null, visited = new Set()) {
+  if (!node) return undefined;
+  const evaluate = child => staticValue(child, code, resolve, visited);
+
+  switch (node.type) {
+    case 'StringLiteral':
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+      return node.value;
+    case 'NullLiteral':
+      return null;
+    case 'Identifier': {
+      if (node.name === 'undefined') return undefined;
+      const bound = resolve?.(node);
+      if (!bound || visited.has(bound)) return dynamicValue(node, code);
+      return staticValue(bound, code, resolve, new Set(visited).add(bound));
+    }
+    case 'TemplateLiteral':
+      return node.expressions.length === 0 ? node.quasis[0].value.cooked : dynamicValue(node, code);
+    case 'UnaryExpression':
+      if (node.operator === '-' && node.argument.type === 'NumericLiteral') return -node.argument.value;
+      return dynamicValue(node, code);
+    case 'TSAsExpression':
+    case 'TSSatisfiesExpression':
+    case 'TSNonNullExpression':
+    case 'ParenthesizedExpression':
+      return evaluate(node.expression);
+    case 'ArrayExpression':
+      return node.elements.map(element =>
+        !element || element.type === 'SpreadElement' ? dynamicValue(element || node, code) : evaluate(element));
+    case 'ObjectExpression': {
+      const object = {};
+      node.properties.forEach(property => {
+        const key = propertyKey(property);
+        if (key === null) {
+          object['...'] = dynamicValue(property, code); // Spreads and computed keys
+        } else {
+          object[key] = property.type === 'ObjectProperty' ? evaluate(property.value) : dynamicValue(property, code);
+        }
+      });
+      return object;
+    }
+    default:
+      return dynamicValue(node, code);
+  }
+}
+
+// Static key of an object property or method, or null when it is computed or a spread
+function propertyKey(property) {
+  if (property.type !== 'ObjectProperty' && property.type !== 'ObjectMethod') return null;
+  if (property.computed) return property.key.type === 'StringLiteral' ? property.key.value : null;
+  if (property.key.type === 'Identifier') return property.key.name;
+  if (property.key.type === 'StringLiteral' || property.key.type === 'NumericLiteral') return String(property.key.value);
+  return null;
+}
+
+function dynamicValue(node, code) {
+  let source = code && node.end != null ? code.slice(node.start, node.end).replace(/\s+/g, ' ') : node.type;
+  if (source.length > MAX_SOURCE_LENGTH) source = `${source.slice(0, MAX_SOURCE_LENGTH - 1)}…`;
+  return { $dynamic: source };
+}
+
+function isDynamicValue(value) {
+  return value !== null && typeof value === 'object' && typeof value.$dynamic === 'string';
+}
+
+// Short display form for markdown: literals as JSON, dynamic values as <dynamic: source>
+function formatValue(value) {
+  if (isDynamicValue(value)) return `<dynamic: ${value.$dynamic}>`;
+  if (Array.isArray(value)) return `[${value.map(formatValue).join(', ')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.entries(value).map(([key, entry]) => `${key}: ${formatValue(entry)}`).join(', ')}}`;
+  }
+  return JSON.stringify(value) ?? 'undefined';
+}
+
+module.exports = { staticValue, propertyKey, dynamicValue, isDynamicValue, formatValue };
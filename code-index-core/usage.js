@@ -0,0 +1,104 @@
+/**
+ * Unused exports and unreachable files, from the resolved internal imports of a CodebaseModel
+ *
+ * Entry points are files the framework or tooling loads by convention (adapter.isConventionFile),
+ * the project's own package.json entries and scripts, and `entries` globs from .codeindexrc. Every
+ * file they import, directly or through barrels, is reachable, and every name imported is used. A barrel's
+ * export ... from does not use a name by itself; the use of its importers is traced back to the origin.
+ * In a workspace, imports from other packages count too.
+ */
+
+const path = require('path');
+const { compileGlob } = require('./ignore');
+
+// { entryPoints, exports: [{ file, name, type, referenced }], files: [file] }; exports of unreachable
+// files are left out, since the whole file is reported
+function analyzeUsage(model) {
+  const files = Object.keys(model.files).sort();
+  const entries = new Set(findEntryPoints(model, files));
+  const incoming = incomingPackageEdges(model);
+
+  // Names used per file; '*' means all of them
+  const used = new Map();
+  const seen = new Set();
+  const markUsed = (file, name) => {
+    if (seen.has(`${file}\n${name}`) || !model.files[file]) return;
+    seen.add(`${file}\n${name}`);
+    if (!used.has(file)) used.set(file, new Set());
+    used.get(file).add(name);
+
+    const names = name === '*' ? model.getExports(file) : [name];
+    if (name === 'default' && model.files[file].defaultExport) used.get(file).add(model.files[file].defaultExport);
+    names.forEach(exported => {
+      // Barrels pass the use on to the file that defines the name
+      const origin = exported !== '*' && model.resolveExport(file, exported);
+      if (origin && origin.file !== file) markUsed(origin.file, origin.name);
+    });
+  };
+  // Re-exported names are only forwarded, and edges via a barrel repeat what markUsed resolves; both still count
+  // for reachability below
+  [...model.dependencies.edges, ...incoming]
+    .filter(edge => !edge.via)
+    .forEach(edge => edge.names
+      .filter(name => !edge.reexports?.includes(name))
+      .forEach(name => markUsed(edge.to, name)));
+  // The framework or the package's consumers use whatever an entry point exports
+  entries.forEach(file => markUsed(file, '*'));
+
+  const targets = new Map();
+  model.dependencies.edges.forEach(edge => {
+    if (!targets.has(edge.from)) targets.set(edge.from, []);
+    targets.get(edge.from).push(edge.to);
+  });
+  const reachable = new Set();
+  const pending = [...entries, ...incoming.map(edge => edge.to)];
+  while (pending.length > 0) {
+    const file = pending.pop();
+    if (reachable.has(file)) continue;
+    reachable.add(file);
+    pending.push(...(targets.get(file) || []));
+  }
+
+  const exports = files
+    .filter(file => reachable.has(file) && !entries.has(file) && model.isWithinSizeLimit(file))
+    .flatMap(file => {
+      const names = used.get(file) || new Set();
+      if (names.has('*')) return [];
+      return model.files[file].symbols
+        .filter(symbol => symbol.exported && !names.has(symbol.name))
+        .map(symbol => ({ file, name: symbol.name, type: symbol.kind, referenced: !!symbol.referenced }));
+    });
+
+  return {
+    entryPoints: entries.size,
+    exports,
+    // Without entry points every file would look dead
+    files: entries.size > 0 || incoming.length > 0 ? files.filter(file => !reachable.has(file)) : []
+  };
+}
+
+function findEntryPoints(model, files) {
+  const { adapter, config, project } = model;
+  const globs = config.entries.map(compileGlob);
+  const own = model.resolver.resolveOwnEntries(project.packageJson);
+  // Files named in package.json scripts, e.g. "seed": "node scripts/seed.js"
+  const scripted = Object.values(project.packageJson.scripts || {})
+    .flatMap(script => String(script).match(/[\w@./-]+\.[cm]?[jt]sx?\b/g) || [])
+    .map(file => path.normalize(file));
+
+  return files.filter(file => adapter.isConventionFile(file) || own.includes(file) || scripted.includes(file) ||
+    globs.some(matches => matches(file.split(path.sep).join('/'))));
+}
+
+// Imports of this package from other workspace packages, as { to, names } within this package
+function incomingPackageEdges(model) {
+  const workspace = model.options.workspace;
+  if (!workspace) return [];
+  return workspace.packages
+    .filter(pkg => pkg.model !== model)
+    .flatMap(pkg => pkg.model.dependencies.packages || [])
+    .filter(edge => edge.package === model.options.packageName)
+    .map(edge => ({ to: edge.to, names: edge.names, reexports: edge.reexports }));
+}
+
+module.exports = { analyzeUsage };
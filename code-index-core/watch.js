@@ -0,0 +1,90 @@
+/**
+ * Debounced file watching with a per-directory fallback where recursive fs.watch is unavailable
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isIgnoredDir } = require('./project');
+
+const WATCH_DEBOUNCE_MS = 300;
+
+// Calls onChange(paths) with batches of changed absolute paths; batches never overlap.
+// ignore(relativePath) applies the project's exclude and .gitignore rules; outputFiles are project-relative.
+function watchProject(projectPath, { outputFiles = [], onChange, ignore = null }) {
+  console.log('👀 Watching for changes (Ctrl+C to stop)...');
+
+  const pending = new Set();
+  let timer = null;
+  let running = Promise.resolve();
+
+  const flush = () => {
+    const changed = [...pending];
+    pending.clear();
+    // Serialize updates so a slow run never overlaps the next batch
+    running = running
+      .then(() => onChange(changed))
+      .catch(error => console.warn(`⚠️  Update failed: ${error.message}`));
+  };
+
+  const isIgnored = relativePath => {
+    if (!relativePath || relativePath.startsWith('..')) return false;
+    // Our own output would otherwise retrigger the watcher forever
+    if (outputFiles.some(file => path.normalize(file) === relativePath)) return true;
+    const segments = relativePath.split(path.sep);
+    if (segments.some(segment => segment.startsWith('.'))) return true;
+    return ignore ? ignore(relativePath) : segments.some(isIgnoredDir);
+  };
+
+  const listDirs = dir => {
+    const dirs = [dir];
+    try {
+      for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, item.name);
+        if (item.isDirectory() && !isIgnored(path.relative(projectPath, fullPath))) {
+          dirs.push(...listDirs(fullPath));
+        }
+      }
+    } catch (e) {
+      // Skip inaccessible directories
+    }
+    return dirs;
+  };
+
+  const handle = (dir, filename) => {
+    if (!filename) return;
+    const fullPath = path.join(dir, filename.toString());
+    if (isIgnored(path.relative(projectPath, fullPath))) return;
+    // New directories need their own watcher when recursive mode is unavailable
+    if (!recursive && fs.existsSync(fullPath) && fs.statSync(fullPath).isDirectory()) {
+      listDirs(fullPath).forEach(watchDir);
+    }
+    pending.add(fullPath);
+    clearTimeout(timer);
+    timer = setTimeout(flush, WATCH_DEBOUNCE_MS);
+  };
+
+  const watchers = new Map();
+  const watchDir = dir => {
+    if (watchers.has(dir)) return;
+    try {
+      watchers.set(dir, fs.watch(dir, (event, filename) => handle(dir, filename)));
+    } catch (e) {
+      // Directory vanished or can't be watched
+    }
+  };
+
+  let recursive = true;
+  try {
+    watchers.set(projectPath, fs.watch(projectPath, { recursive: true }, (event, filename) => {
+      handle(projectPath, filename);
+    }));
+  } catch (e) {
+    // Recursive watching isn't supported on every platform/Node version
+    recursive = false;
+    listDirs(projectPath).forEach(watchDir);
+  }
+
+  return watchers;
+}
+
+module.exports = { watchProject };
@@ -0,0 +1,219 @@
+/**
+ * Monorepo support: detects workspace packages and indexes each one with its own CodebaseModel
+ *
+ * Packages come from package.json `workspaces` (npm/yarn), pnpm-workspace.yaml, or the usual
+ * apps/libs/packages layout of Turborepo and Nx. Every package gets its own framework adapter,
+ * and imports of another package's name resolve into that package (see ImportResolver).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CodebaseModel } = require('./model');
+const { isIgnoredDir } = require('./project');
+const { globToRegExp } = require('./ignore');
+
+// Where Turborepo and Nx keep packages when the package manager doesn't list them
+const DEFAULT_PATTERNS = ['apps/*', 'libs/*', 'packages/*'];
+
+// { root, manager, runner, packages: [{ name, path, root, packageJson }] }, or null for a single project
+function detectWorkspace(projectPath) {
+  const root = path.resolve(projectPath);
+  const exists = file => fs.existsSync(path.join(root, file));
+  const packageJson = readJson(path.join(root, 'package.json')) || {};
+
+  const pnpmPatterns = readPnpmPatterns(path.join(root, 'pnpm-workspace.yaml'));
+  const declared = Array.isArray(packageJson.workspaces) ? packageJson.workspaces : packageJson.workspaces?.packages;
+  const runner = exists('nx.json') ? 'nx' : exists('turbo.json') ? 'turbo' : null;
+  const patterns = pnpmPatterns || declared || (runner ? DEFAULT_PATTERNS : null);
+  if (!patterns || patterns.length === 0) return null;
+
+  const manager = pnpmPatterns ? 'pnpm' : exists('yarn.lock') ? 'yarn' : exists('bun.lockb') ? 'bun' : 'npm';
+  const packages = expandPatterns(root, patterns);
+  if (packages.length === 0) return null;
+  return { root, manager, runner, packages };
+}
+
+// The `packages:` list of pnpm-workspace.yaml; a line-based read covers the format pnpm documents
+function readPnpmPatterns(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    return null;
+  }
+  const patterns = [];
+  let inPackages = false;
+  text.split('\n').forEach(line => {
+    const content = line.replace(/\s+#.*$/, '');
+    if (/^\S/.test(content)) {
+      inPackages = /^packages\s*:/.test(content);
+      return;
+    }
+    const item = inPackages && content.match(/^\s*-\s*(.+?)\s*$/);
+    if (item) patterns.push(item[1].replace(/^(['"])(.*)\1$/, '$2'));
+  });
+  return patterns;
+}
+
+// Package directories matching the globs; '!' patterns exclude, and Nx project.json counts as a package
+function expandPatterns(root, patterns) {
+  const excludes = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => globToRegExp(pattern.slice(1)));
+  const dirs = new Set();
+  patterns.filter(pattern => !pattern.startsWith('!')).forEach(pattern => {
+    expandPattern(root, pattern).forEach(dir => dirs.add(dir));
+  });
+
+  return [...dirs].sort()
+    .filter(dir => dir !== root)
+    .map(dir => {
+      const relativePath = path.relative(root, dir);
+      if (excludes.some(exclude => exclude.test(relativePath.split(path.sep).join('/')))) return null;
+      const packageJson = readJson(path.join(dir, 'package.json'));
+      const projectJson = readJson(path.join(dir, 'project.json'));
+      if (!packageJson && !projectJson) return null;
+      const name = packageJson?.name || projectJson?.name || relativePath;
+      return { name, path: relativePath, root: dir, packageJson: packageJson || {} };
+    })
+    .filter(Boolean);
+}
+
+function expandPattern(root, pattern) {
+  const segments = pattern.replace(/^\.\//, '').replace(/\/+$/, '').split('/').filter(Boolean);
+  const subdirs = dir => {
+    try {
+      return fs.readdirSync(dir, { withFileTypes: true })
+        .filter(item => item.isDirectory() && !isIgnoredDir(item.name))
+        .map(item => path.join(dir, item.name));
+    } catch (e) {
+      return [];
+    }
+  };
+
+  const walk = (dir, index) => {
+    if (index === segments.length) return [dir];
+    const segment = segments[index];
+    if (segment === '**') {
+      return [...walk(dir, index + 1), ...subdirs(dir).flatMap(sub => walk(sub, index))];
+    }
+    if (!segment.includes('*')) {
+      const next = path.join(dir, segment);
+      return fs.existsSync(next) ? walk(next, index + 1) : [];
+    }
+    const matcher = globToRegExp(segment);
+    return subdirs(dir).filter(sub => matcher.test(path.basename(sub))).flatMap(sub => walk(sub, index + 1));
+  };
+  return walk(root, 0);
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+class Workspace {
+  constructor(layout, options = {}) {
+    this.root = layout.root;
+    this.manager = layout.manager;
+    this.runner = layout.runner;
+    this.packages = layout.packages.map(pkg => ({
+      ...pkg,
+      model: new CodebaseModel(pkg.root, { ...options, packageName: pkg.name, workspace: this })
+    }));
+  }
+
+  async build() {
+    for (const pkg of this.packages) {
+      console.log(`\n📦 ${pkg.name} (${pkg.path})`);
+      await pkg.model.build();
+    }
+  }
+
+  // Re-analyzes changed absolute paths in the packages that own them
+  async update(changedPaths) {
+    let updated = 0;
+    let changed = 0;
+    for (const pkg of this.packages) {
+      const owned = changedPaths.filter(changedPath => isWithin(pkg.root, changedPath));
+      if (owned.length === 0) continue;
+      const result = await pkg.model.update(owned);
+      updated += result.updated;
+      changed += result.changed;
+    }
+    // Other packages may import what changed, so their cross-package edges are re-resolved too
+    this.packages.forEach(pkg => pkg.model.resolveDependencies());
+    return { updated, changed };
+  }
+
+  // Package owning a workspace-relative or absolute path, with the path relative to that package
+  locate(target) {
+    const absolute = path.resolve(this.root, target);
+    const pkg = this.packages
+      .filter(candidate => isWithin(candidate.root, absolute))
+      .sort((a, b) => b.root.length - a.root.length)[0];
+    return pkg ? { pkg, relativePath: path.relative(pkg.root, absolute) } : null;
+  }
+
+  // Paths no package indexes: outside every package, or excluded by the owning package's rules
+  isIgnored(relativePath) {
+    const located = this.locate(relativePath);
+    if (located) return located.relativePath !== '' && located.pkg.model.project.isIgnored(located.relativePath);
+    // Directories above packages must still be watched
+    const absolute = path.resolve(this.root, relativePath);
+    return !this.packages.some(pkg => isWithin(absolute, pkg.root));
+  }
+
+  // Workspace-relative path of a file inside a package
+  resolvePath(packageName, relativePath) {
+    const pkg = this.packages.find(candidate => candidate.name === packageName);
+    return pkg ? path.join(pkg.path, relativePath) : null;
+  }
+
+  // Top-level listing of packages: where they live, what they run on and which packages they use
+  manifest() {
+    const names = new Set(this.packages.map(pkg => pkg.name));
+    return {
+      manager: this.manager,
+      runner: this.runner,
+      packages: this.packages.map(pkg => {
+        const { model, packageJson } = pkg;
+        const declared = ['dependencies', 'devDependencies', 'peerDependencies']
+          .flatMap(field => Object.keys(packageJson[field] || {}))
+          .filter(name => names.has(name));
+        const imported = (model.dependencies.packages || []).map(edge => edge.package);
+        return {
+          name: pkg.name,
+          path: pkg.path,
+          framework: model.adapter.label(),
+          files: Object.keys(model.files).length,
+          dependsOn: [...new Set([...declared, ...imported])].filter(name => name !== pkg.name).sort()
+        };
+      })
+    };
+  }
+}
+
+function isWithin(dir, filePath) {
+  return filePath === dir || filePath.startsWith(dir + path.sep);
+}
+
+function formatManifest(manifest) {
+  const tools = [manifest.manager, manifest.runner].filter(Boolean).join(' + ');
+  let content = `## Workspace Packages (${manifest.packages.length}, ${tools})\n`;
+  manifest.packages.forEach(pkg => {
+    content += `- **${pkg.name}** (${pkg.path}): ${pkg.framework}, ${pkg.files} files`;
+    content += pkg.dependsOn.length > 0 ? ` - uses ${pkg.dependsOn.join(', ')}\n` : '\n';
+  });
+  return content;
+}
+
+// Nests a package's own markdown one heading level down, titled with the package
+function formatPackageSection(markdown, pkg) {
+  return markdown
+    .replace(/^# .*\n/, `# Package ${pkg.name} (${pkg.path})\n`)
+    .replace(/^(#+) /gm, '#$1 ');
+}
+
+module.exports = { detectWorkspace, Workspace, formatManifest, formatPackageSection };